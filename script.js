@@ -15,6 +15,14 @@ function escapeHtml(str) {
     .replaceAll("'", "&#039;");
 }
 
+// Fold UK/US spelling variants (analyze/analyse, summarize/summarise) onto one form for matching.
+function normaliseSpelling(word) {
+  return String(word || "")
+    .toLowerCase()
+    .replace(/yz(e|es|ed|ing)$/, "ys$1")
+    .replace(/([a-z]{2,})iz(e|es|ed|ing|ation)$/, "$1is$2");
+}
+
 function slugify(s) {
   return String(s || "")
     .trim()
@@ -35,6 +43,18 @@ function showError(message) {
   $("#resultsArea").html(`<div class="alert alert-danger">${escapeHtml(message)}</div>`);
 }
 
+function downloadFile(filename, content, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function defaultBloomColors() {
   return {
     remember: "#0d6efd",
@@ -53,26 +73,45 @@ function defaultBloomColors() {
 // - alsoFitsLevelIds
 // - stemsByLevel keys
 // - levelGuidance keys
-function adaptNewSchema(raw) {
-  const bloom = raw?.taxonomies?.bloom;
-  if (!bloom?.levels?.length) throw new Error("Missing taxonomies.bloom.levels[]");
-  const colorMap = defaultBloomColors();
+//
+// Bloom's revised is the home taxonomy of the dataset. Further taxonomies (SOLO, Fink, ...) sit alongside
+// it under raw.taxonomies, and verbs place themselves in them through taxonomyMappings[taxonomyId].
+const FALLBACK_LEVEL_COLORS = ["#0d6efd", "#198754", "#20c997", "#6f42c1", "#fd7e14", "#dc3545", "#6c757d"];
 
-  const bloomLevels = bloom.levels
+function adaptTaxonomyLevels(taxonomy, colorMap) {
+  return (taxonomy.levels || [])
     .slice()
     .sort((a, b) => (a.order ?? 999) - (b.order ?? 999))
-    .map((lvl) => ({
+    .map((lvl, i) => ({
       id: lvl.id,
+      taxonomyId: taxonomy.id,
       name: lvl.label || lvl.id,
       order: lvl.order ?? 999,
-      color: colorMap[lvl.id] || "#6c757d",
+      color: colorMap[lvl.id] || lvl.color || FALLBACK_LEVEL_COLORS[i % FALLBACK_LEVEL_COLORS.length],
       description: lvl.shortDefinition || "",
       prompts: lvl.prompts || [],
       guardrails: lvl.verbGuardrails || null,
     }));
+}
+
+function adaptNewSchema(raw) {
+  const bloom = raw?.taxonomies?.bloom;
+  if (!bloom?.levels?.length) throw new Error("Missing taxonomies.bloom.levels[]");
+  const bloomId = bloom.id || "bloom-revised";
 
-  const levelIdToName = new Map(bloomLevels.map((l) => [l.id, l.name]));
-  const levelNameToMeta = new Map(bloomLevels.map((l) => [l.name, l]));
+  const taxonomies = Object.entries(raw.taxonomies)
+    .filter(([, t]) => Array.isArray(t?.levels) && t.levels.length)
+    .map(([key, t]) => {
+      const id = t.id || key;
+      return {
+        key,
+        id,
+        name: t.name || key,
+        hierarchical: t.hierarchical !== false,
+        levels: adaptTaxonomyLevels({ ...t, id }, key === "bloom" ? defaultBloomColors() : {}),
+      };
+    });
+  const bloomLevels = taxonomies.find((t) => t.key === "bloom").levels;
   const knownLevelIds = new Set(bloomLevels.map((l) => l.id));
 
   const assessmentFormats = (raw.assessmentFormats || []).map((f) => ({
@@ -82,32 +121,67 @@ function adaptNewSchema(raw) {
     typicalEvidence: f.typicalEvidence || [],
     scalability: f.scalability || null,
     aiRisk: f.aiRisk || null,
+    tags: f.tags || null,
+    overlay: f.overlay || null,
+    overrides: f.overrides || null,
   }));
   const formatIdToName = new Map(assessmentFormats.map((f) => [f.id, f.name]));
 
+  // Qualification frameworks (NFQ, EQF, ...): focus entries reference Bloom level ids
+  const qf = raw?.qualificationFrameworks || {};
+  const frameworks = (qf.frameworks || []).map((fw) => {
+    const shortLabel = fw.shortLabel || String(fw.id || "").toUpperCase();
+    return {
+      id: fw.id,
+      name: fw.label || shortLabel,
+      shortLabel,
+      levels: (fw.levels || []).map((l) => ({
+        id: String(l.id),
+        label: l.label || `${shortLabel} ${l.id}`,
+        title: l.title || l.label || `${shortLabel} ${l.id}`,
+        focus: (l.focus || [])
+          .map((f) => (typeof f === "string" ? { levelId: f, note: "" } : { levelId: f.levelId, note: f.note || "" }))
+          .filter((f) => knownLevelIds.has(f.levelId)),
+        characteristics: l.characteristics || [],
+        tips: l.tips || [],
+        equivalents: l.equivalents || {},
+      })),
+    };
+  });
+
   const verbs = (raw.verbs || []).map((v, idx) => {
     const id = v.id || `${slugify(v.primaryLevelId)}-${slugify(v.verb)}-${idx}`;
+    // taxonomyId may name the taxonomy by id ("bloom-revised") or by key ("bloom")
+    const homeTaxonomyId = taxonomies.find((t) => t.id === v.taxonomyId || t.key === v.taxonomyId)?.id || bloomId;
 
     const stemsLevelIds =
       v.stemsByLevel && typeof v.stemsByLevel === "object" ? Object.keys(v.stemsByLevel) : [];
     const guidanceLevelIds =
       v.levelGuidance && typeof v.levelGuidance === "object" ? Object.keys(v.levelGuidance) : [];
 
-    // Expand membership across levels from stems/guidance
-    const levelIds = Array.from(
-      new Set(
-        [
-          v.primaryLevelId,
-          ...(Array.isArray(v.alsoFitsLevelIds) ? v.alsoFitsLevelIds : []),
-          ...stemsLevelIds,
-          ...guidanceLevelIds,
-        ].filter(Boolean)
+    // Level membership per taxonomy: the home taxonomy reads the verb's own fields, others its taxonomyMappings
+    const taxonomyLevels = {};
+    for (const t of taxonomies) {
+      const known = new Set(t.levels.map((l) => l.id));
+      const mapping = t.id === homeTaxonomyId ? v : v.taxonomyMappings?.[t.id] || v.taxonomyMappings?.[t.key];
+      if (!mapping) continue;
+
+      const alsoFitsLevelIds = Array.isArray(mapping.alsoFitsLevelIds) ? mapping.alsoFitsLevelIds : [];
+      // Expand membership across levels from stems/guidance
+      const levelIds = Array.from(
+        new Set(
+          [
+            mapping.primaryLevelId,
+            ...alsoFitsLevelIds,
+            ...(t.id === homeTaxonomyId ? [...stemsLevelIds, ...guidanceLevelIds] : []),
+          ].filter(Boolean)
+        )
       )
-    )
-      // Optional safety: only keep ids that exist in taxonomy
-      .filter((lvlId) => knownLevelIds.has(lvlId));
+        // Optional safety: only keep ids that exist in taxonomy
+        .filter((lvlId) => known.has(lvlId));
 
-    const levels = levelIds.map((lvlId) => levelIdToName.get(lvlId) || lvlId);
+      taxonomyLevels[t.id] = { primaryLevelId: mapping.primaryLevelId, alsoFitsLevelIds, levelIds };
+    }
 
     const formatMappings = Array.isArray(v.formatMappings) ? v.formatMappings : [];
     const assessmentFormatIds = formatMappings
@@ -117,23 +191,31 @@ function adaptNewSchema(raw) {
     return {
       id,
       verb: v.verb,
-      taxonomyId: v.taxonomyId || "bloom-revised",
+      taxonomyId: homeTaxonomyId,
+      taxonomyLevels,
 
-      primaryLevelId: v.primaryLevelId,
-      alsoFitsLevelIds: Array.isArray(v.alsoFitsLevelIds) ? v.alsoFitsLevelIds : [],
-      levelIds,
-      levels, // display names for UI
+      // Filled in for the active taxonomy by applyActiveTaxonomy
+      primaryLevelId: null,
+      alsoFitsLevelIds: [],
+      levelIds: [],
+      levels: [], // display names for UI
 
       meaning: v.meaning || null,
       synonyms: Array.isArray(v.synonyms) ? v.synonyms : [],
       searchKeywords: Array.isArray(v.searchKeywords) ? v.searchKeywords : [],
 
       stemsByLevel: v.stemsByLevel || null,
+      learningOutcomeStems: Array.isArray(v.learningOutcomeStems) ? v.learningOutcomeStems : [],
       levelGuidance: v.levelGuidance || null,
       diagnosticStrength: v.diagnosticStrength || null,
 
       taskIdeas: Array.isArray(v.taskIdeas) ? v.taskIdeas : [],
+      taskIdeasByLevel: v.taskIdeasByLevel || null,
       tags: v.tags || null,
+      migratedFrom: v.migratedFrom || null,
+      legacy: v.legacy || null,
+      overlay: v.overlay || null,
+      overrides: v.overrides || null,
 
       assessmentFormatIds,
       formatMappings: formatMappings.map((m) => ({
@@ -142,19 +224,829 @@ function adaptNewSchema(raw) {
         suitability: m.suitability || "medium",
         rationale: m.rationale || "",
         designNotes: Array.isArray(m.designNotes) ? m.designNotes : [],
+        tags: Array.isArray(m.tags) ? m.tags : [],
       })),
     };
   });
 
-  return {
+  const app = {
     disclaimer: raw?.meta?.disclaimer || "",
-    bloomLevels,
-    levelIdToName,
-    levelNameToMeta,
+    taxonomies,
+    homeTaxonomyId: bloomId,
+    allLevels: taxonomies.flatMap((t) => t.levels),
     assessmentFormats,
     formatIdToName,
     verbs,
+    suggestedFilters: Array.isArray(raw?.uiHints?.suggestedFilters) ? raw.uiHints.suggestedFilters : [],
+    frameworks,
+    defaultFrameworkId: qf.defaultFrameworkId || frameworks[0]?.id || null,
+    equivalenceBasis: qf.equivalenceBasis || "eqf",
+    frameworkNote: qf.note || "",
+  };
+
+  applyActiveTaxonomy(app, bloomId);
+  return app;
+}
+
+// Point bloomLevels and each verb's level fields at one taxonomy; the rest of the UI reads only those.
+function applyActiveTaxonomy(app, taxonomyId) {
+  const taxonomy = app.taxonomies.find((t) => t.id === taxonomyId) || app.taxonomies.find((t) => t.id === app.homeTaxonomyId);
+  app.activeTaxonomyId = taxonomy.id;
+  app.bloomLevels = taxonomy.levels;
+  app.levelIdToName = new Map(taxonomy.levels.map((l) => [l.id, l.name]));
+  app.levelNameToMeta = new Map(taxonomy.levels.map((l) => [l.name, l]));
+
+  for (const v of app.verbs) {
+    const placement = v.taxonomyLevels[taxonomy.id] || { primaryLevelId: null, alsoFitsLevelIds: [], levelIds: [] };
+    v.primaryLevelId = placement.primaryLevelId;
+    v.alsoFitsLevelIds = placement.alsoFitsLevelIds;
+    v.levelIds = placement.levelIds;
+    v.levels = placement.levelIds.map((lvlId) => app.levelIdToName.get(lvlId) || lvlId);
+  }
+}
+
+function getActiveTaxonomy() {
+  return APP.taxonomies.find((t) => t.id === APP.activeTaxonomyId) || null;
+}
+
+// -------------------- Dataset validation (validationRules) --------------------
+// Rule keys in validationRules.uniqueIds -> the paths they apply to
+const UNIQUE_ID_PATHS = {
+  bloomLevelIds: "taxonomies.bloom.levels[].id",
+  assessmentFormatIds: "assessmentFormats[].id",
+  verbIds: "verbs[].id",
+};
+
+// Rule keys in validationRules.minExamples -> the verb array they count
+const MIN_EXAMPLE_FIELDS = {
+  learningOutcomeStemsPerVerb: "learningOutcomeStems",
+  formatMappingsPerVerb: "formatMappings",
+  taskIdeasPerVerb: "taskIdeas",
+};
+
+// Per-level verb fields keyed by Bloom level id (the adapter drops unknown keys silently)
+const LEVEL_KEYED_VERB_FIELDS = ["stemsByLevel", "levelGuidance", "taskIdeasByLevel"];
+
+let DATA_ISSUES = []; // last validation report for the loaded dataset
+
+function valueShape(value) {
+  if (value === null || value === undefined) return "missing";
+  if (Array.isArray(value)) return "list";
+  return typeof value === "object" ? "object" : typeof value;
+}
+
+function withArticle(shape) {
+  return /^[aeiou]/.test(shape) ? `an ${shape}` : `a ${shape}`;
+}
+
+// Expands a rule path such as "verbs[].formatMappings[].assessmentFormatId" into
+// [{ value, path, entryId }] where path is concrete ("verbs[3].formatMappings[0]...")
+// and entryId is the nearest enclosing entry's id.
+function collectPathValues(root, rulePath) {
+  let nodes = [{ value: root, path: "", entryId: "" }];
+
+  for (const segment of rulePath.split(".")) {
+    const isList = segment.endsWith("[]");
+    const key = isList ? segment.slice(0, -2) : segment;
+    const next = [];
+
+    for (const node of nodes) {
+      const value = node.value?.[key];
+      const path = node.path ? `${node.path}.${key}` : key;
+      if (!isList) {
+        next.push({ value, path, entryId: node.entryId });
+        continue;
+      }
+      if (!Array.isArray(value)) continue;
+      value.forEach((item, i) => {
+        next.push({ value: item, path: `${path}[${i}]`, entryId: item?.id || node.entryId });
+      });
+    }
+    nodes = next;
+  }
+
+  return nodes;
+}
+
+function validateDataset(raw) {
+  const issues = [];
+  const add = (severity, entryId, path, problem) => issues.push({ severity, entryId: entryId || "", path, problem });
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    add("error", "", "(root)", "Dataset is not a JSON object.");
+    return issues;
+  }
+
+  const rules = raw.validationRules;
+  if (!rules) {
+    add("warning", "", "validationRules", "No validationRules block; only structural checks were run.");
+  }
+
+  const verbs = Array.isArray(raw.verbs) ? raw.verbs : [];
+  const verbPath = (i) => `verbs[${i}]`;
+
+  // Required top-level keys
+  for (const key of rules?.requiredTopLevelKeys || ["taxonomies", "assessmentFormats", "verbs"]) {
+    if (raw[key] === undefined) add("error", "", key, "Required top-level key is missing.");
+  }
+
+  // Unique (and present) ids
+  for (const [ruleKey, path] of Object.entries(UNIQUE_ID_PATHS)) {
+    if (rules?.uniqueIds && !rules.uniqueIds[ruleKey]) continue;
+    const seen = new Map();
+    for (const { value, path: at } of collectPathValues(raw, path)) {
+      if (value === undefined || value === "") {
+        add("error", "", at, "Entry has no id.");
+        continue;
+      }
+      if (seen.has(value)) add("error", value, at, `Duplicate id (first used at ${seen.get(value)}).`);
+      else seen.set(value, at);
+    }
+  }
+
+  // References that must resolve, e.g. "verbs[].primaryLevelId -> taxonomies.bloom.levels[].id"
+  for (const rule of rules?.referencesMustResolve || []) {
+    const [from, to] = String(rule).split("->").map((s) => s.trim());
+    if (!from || !to) {
+      add("warning", "", "validationRules.referencesMustResolve", `Cannot read rule "${rule}".`);
+      continue;
+    }
+    const targets = new Set(collectPathValues(raw, to).map((n) => n.value));
+    for (const { value, path, entryId } of collectPathValues(raw, from)) {
+      if (value === undefined || value === "") add("error", entryId, path, `Missing reference (expected a value from ${to}).`);
+      else if (!targets.has(value)) add("error", entryId, path, `"${value}" does not match any ${to}.`);
+    }
+  }
+
+  // Level ids used elsewhere on verbs must exist in their taxonomy
+  const taxonomies = raw.taxonomies && typeof raw.taxonomies === "object" ? raw.taxonomies : {};
+  const levelIdsOf = (taxonomy) => new Set((taxonomy?.levels || []).map((l) => l.id));
+  const bloomLevelIds = levelIdsOf(taxonomies.bloom);
+
+  verbs.forEach((v, i) => {
+    (v.alsoFitsLevelIds || []).forEach((id, j) => {
+      if (!bloomLevelIds.has(id)) add("error", v.id, `${verbPath(i)}.alsoFitsLevelIds[${j}]`, `Unknown Bloom level "${id}".`);
+    });
+
+    for (const field of LEVEL_KEYED_VERB_FIELDS) {
+      if (v[field] === undefined) continue;
+      if (valueShape(v[field]) !== "object") {
+        add("error", v.id, `${verbPath(i)}.${field}`, `Expected an object keyed by Bloom level id, found ${withArticle(valueShape(v[field]))}.`);
+        continue;
+      }
+      for (const levelId of Object.keys(v[field])) {
+        if (!bloomLevelIds.has(levelId)) add("error", v.id, `${verbPath(i)}.${field}.${levelId}`, `Unknown Bloom level "${levelId}"; this entry is ignored.`);
+      }
+    }
+
+    // taxonomyMappings may be keyed by taxonomy key ("solo") or taxonomy id ("dave-psychomotor")
+    for (const [taxKey, mapping] of Object.entries(v.taxonomyMappings || {})) {
+      const at = `${verbPath(i)}.taxonomyMappings.${taxKey}`;
+      const taxonomy = taxonomies[taxKey] || Object.values(taxonomies).find((t) => t?.id === taxKey);
+      if (!taxonomy) {
+        add("error", v.id, at, `Unknown taxonomy "${taxKey}".`);
+        continue;
+      }
+      const ids = levelIdsOf(taxonomy);
+      [mapping?.primaryLevelId, ...(mapping?.alsoFitsLevelIds || [])].forEach((id) => {
+        if (id && !ids.has(id)) add("error", v.id, at, `Unknown ${taxKey} level "${id}".`);
+      });
+    }
+  });
+
+  // Allowed values
+  const allowedSuitability = rules?.allowedSuitabilityValues;
+  if (allowedSuitability) {
+    for (const { value, path, entryId } of collectPathValues(raw, "verbs[].formatMappings[].suitability")) {
+      if (!allowedSuitability.includes(value)) {
+        add("error", entryId, path, `Suitability "${value ?? ""}" is not one of: ${allowedSuitability.join(", ")}.`);
+      }
+    }
+  }
+
+  const allowedStrength = rules?.allowedDiagnosticStrengthValues;
+  if (allowedStrength) {
+    verbs.forEach((v, i) => {
+      if (v.diagnosticStrength !== undefined && !allowedStrength.includes(v.diagnosticStrength)) {
+        add("error", v.id, `${verbPath(i)}.diagnosticStrength`, `"${v.diagnosticStrength}" is not one of: ${allowedStrength.join(", ")}.`);
+      }
+    });
+  }
+
+  // Minimum examples per verb (migrated legacy entries are exempt until they are enriched)
+  for (const [ruleKey, min] of Object.entries(rules?.minExamples || {})) {
+    const field = MIN_EXAMPLE_FIELDS[ruleKey];
+    if (!field) continue;
+    verbs.forEach((v, i) => {
+      if (v.migratedFrom) return;
+      const count = Array.isArray(v[field]) ? v[field].length : 0;
+      if (count < min) add("error", v.id, `${verbPath(i)}.${field}`, `Has ${count}; at least ${min} required.`);
+    });
+  }
+
+  const migratedCounts = new Map();
+  verbs.filter((v) => v.migratedFrom).forEach((v) => migratedCounts.set(v.migratedFrom, (migratedCounts.get(v.migratedFrom) || 0) + 1));
+  for (const [url, count] of migratedCounts) {
+    add("warning", "", "verbs[]", `${count} entries migrated from ${url} have no stems or format mappings yet (minExamples not enforced).`);
+  }
+
+  // Format mapping fields: unknown keys, and rationale + design note (recommendations.keepMappingsIndicative)
+  if (rules?.formatMappingFields) {
+    const refFields = (rules.referencesMustResolve || [])
+      .map((r) => String(r).split("->")[0].trim())
+      .filter((p) => p.startsWith("verbs[].formatMappings[]."))
+      .map((p) => p.split(".").pop());
+    const known = new Set([...rules.formatMappingFields, ...refFields]);
+
+    for (const { value: m, path, entryId } of collectPathValues(raw, "verbs[].formatMappings[]")) {
+      for (const key of Object.keys(m || {})) {
+        if (!known.has(key)) add("warning", entryId, `${path}.${key}`, "Field is not listed in validationRules.formatMappingFields.");
+      }
+      if (rules.recommendations?.keepMappingsIndicative) {
+        if (!m?.rationale && !m?.notes) add("warning", entryId, path, "Mapping has no rationale.");
+        if (!Array.isArray(m?.designNotes) || !m.designNotes.length) add("warning", entryId, path, "Mapping has no design notes.");
+      }
+    }
+  }
+
+  // Mixed shapes across entries (e.g. meaning as a string on some verbs, an object on others)
+  const checkShapes = (list, listPath) => {
+    const shapesByKey = new Map();
+    list.forEach((entry, i) => {
+      for (const [key, value] of Object.entries(entry || {})) {
+        if (!shapesByKey.has(key)) shapesByKey.set(key, []);
+        shapesByKey.get(key).push({ i, id: entry.id, shape: valueShape(value) });
+      }
+    });
+
+    for (const [key, uses] of shapesByKey) {
+      const counts = new Map();
+      uses.forEach((u) => counts.set(u.shape, (counts.get(u.shape) || 0) + 1));
+      if (counts.size < 2) continue;
+      const [usual, usualCount] = [...counts].sort((a, b) => b[1] - a[1])[0];
+      uses
+        .filter((u) => u.shape !== usual)
+        .forEach((u) => {
+          add("warning", u.id, `${listPath}[${u.i}].${key}`, `${key} is ${withArticle(u.shape)}; ${usualCount} other entries use ${withArticle(usual)}.`);
+        });
+    }
   };
+  checkShapes(verbs, "verbs");
+  checkShapes(Array.isArray(raw.assessmentFormats) ? raw.assessmentFormats : [], "assessmentFormats");
+
+  return issues;
+}
+
+function updateDataCheckBadge() {
+  const errors = DATA_ISSUES.filter((x) => x.severity === "error").length;
+  const badge = $("#dataCheckCount");
+  badge.text(DATA_ISSUES.length).toggleClass("d-none", !DATA_ISSUES.length);
+  badge.toggleClass("bg-danger", errors > 0).toggleClass("bg-warning", !errors);
+}
+
+function renderValidationReport(overlayMessages = []) {
+  DATA_ISSUES = validateDataset(applyOverlays(RAW));
+  updateDataCheckBadge();
+
+  const errors = DATA_ISSUES.filter((x) => x.severity === "error");
+  const warnings = DATA_ISSUES.filter((x) => x.severity === "warning");
+  const meta = RAW?.meta || {};
+
+  const summary = DATA_ISSUES.length
+    ? `<div class="alert ${errors.length ? "alert-danger" : "alert-warning"} py-2 small">
+        ${errors.length} error(s) and ${warnings.length} warning(s). Errors break the dataset's own validationRules;
+        warnings are inconsistencies the UI copes with but colleagues may notice.
+      </div>`
+    : `<div class="alert alert-success py-2 small">No problems found. The dataset satisfies its validationRules.</div>`;
+
+  const entryCell = (id) => {
+    const kind = (RAW?.verbs || []).some((v) => v.id === id) ? "verb" : (RAW?.assessmentFormats || []).some((f) => f.id === id) ? "format" : "";
+    if (!kind) return escapeHtml(id || "—");
+    return `<a href="#" class="edit-entry" data-kind="${kind}" data-id="${escapeHtml(id)}" title="Open in the editor">${escapeHtml(id)}</a>`;
+  };
+
+  const rows = [...errors, ...warnings]
+    .map(
+      (x) => `
+      <tr>
+        <td><span class="badge ${x.severity === "error" ? "bg-danger" : "bg-warning text-dark"}">${escapeHtml(x.severity)}</span></td>
+        <td class="small">${entryCell(x.entryId)}</td>
+        <td class="small"><code>${escapeHtml(x.path)}</code></td>
+        <td class="small">${escapeHtml(x.problem)}</td>
+      </tr>
+    `
+    )
+    .join("");
+
+  const table = DATA_ISSUES.length
+    ? `<div class="table-responsive">
+        <table class="table table-sm table-bordered align-middle">
+          <thead><tr><th>Severity</th><th>Entry</th><th>Path</th><th>Problem</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`
+    : "";
+
+  $("#resultsArea").html(`
+    <div class="card mb-3">
+      <div class="card-header">Dataset check: ${escapeHtml(meta.schema || "verbs.json")} ${escapeHtml(meta.schemaVersion || "")}</div>
+      <div class="card-body">
+        <div class="small text-muted mb-2">
+          ${(RAW?.verbs || []).length} verb entries, ${(RAW?.assessmentFormats || []).length} assessment formats.
+          ${meta.updated ? `Last updated ${escapeHtml(meta.updated)}.` : ""}
+        </div>
+        ${summary}
+        ${table}
+      </div>
+    </div>
+    ${renderLoadReport()}
+    ${renderOverlayReport(overlayMessages)}
+  `);
+}
+
+// -------------------- Data loading (multi-version) --------------------
+// verbs.json is the primary dataset; the legacy flat files ({verb, levels, assessment_examples})
+// are migrated into the current model so their verbs are not lost.
+const DATA_SOURCES = [
+  { url: "verbs.json", primary: true },
+  { url: "verbsV3.json", primary: false },
+  { url: "verbs copy.json", primary: false },
+];
+
+const SUPPORTED_SCHEMA_MAJOR = 2;
+
+let LOAD_REPORT = []; // one entry per data source: what was detected, migrated and left unmapped
+// Legacy verbs sit in their own layer, like overlays, so RAW stays exactly what verbs.json holds.
+// verbs: migrated entries (with migratedFrom); additions: dataset verb id -> { sources, levelIds, taskIdeas }
+let LEGACY_LAYER = { verbs: [], additions: new Map() };
+
+// Legacy files are comma-separated objects without the enclosing [ ]; wrap them before giving up.
+function parseDatasetText(text) {
+  try {
+    return { data: JSON.parse(text), repaired: false };
+  } catch (err) {
+    const wrapped = `[${String(text).trim().replace(/,\s*$/, "")}]`;
+    try {
+      return { data: JSON.parse(wrapped), repaired: true };
+    } catch {
+      throw err;
+    }
+  }
+}
+
+// "current" (taxonomies + verbs, schemaVersion 2.x or no version), "legacy-flat" or "unknown"
+function detectSchema(data) {
+  const isLegacyEntry = (x) => x && typeof x === "object" && typeof x.verb === "string" && "levels" in x;
+
+  if (Array.isArray(data)) return data.length && data.every(isLegacyEntry) ? "legacy-flat" : "unknown";
+  if (!data || typeof data !== "object") return "unknown";
+
+  const major = parseInt(String(data.meta?.schemaVersion || ""), 10);
+  if (data.taxonomies && Array.isArray(data.verbs) && (!major || major <= SUPPORTED_SCHEMA_MAJOR)) return "current";
+  if (Array.isArray(data.verbs) && data.verbs.length && data.verbs.every(isLegacyEntry)) return "legacy-flat";
+  return "unknown";
+}
+
+// Legacy level names are Bloom labels, sometimes in US spelling ("Analyze")
+function legacyLevelId(name, bloomLevels) {
+  const key = normaliseSpelling(String(name || "").trim());
+  const level = bloomLevels.find((l) => l.id === key || normaliseSpelling(l.label || l.name || "") === key);
+  return level ? level.id : null;
+}
+
+// Migrates legacy entries into `layer` (see LEGACY_LAYER); `raw` is only read. A verb the dataset
+// already has (matched on its normalised text) keeps its curated fields: the legacy levels and
+// examples are recorded as additions shown alongside it.
+function migrateLegacyVerbs(entries, raw, report, layer) {
+  const bloom = raw.taxonomies?.bloom || {};
+  const bloomLevels = bloom.levels || [];
+  const byVerb = new Map();
+  // Only Bloom-homed entries: legacy levels are Bloom levels
+  [...raw.verbs, ...layer.verbs].forEach((v) => {
+    if (v.taxonomyId && v.taxonomyId !== "bloom" && v.taxonomyId !== bloom.id) return;
+    const key = normaliseSpelling(String(v.verb || "").trim());
+    if (key && !byVerb.has(key)) byVerb.set(key, v);
+  });
+
+  entries.forEach((entry, i) => {
+    const verb = normaliseSpelling(String(entry.verb || "").trim());
+    const label = entry.verb ? `"${entry.verb}"` : `entry ${i + 1}`;
+    if (!verb) {
+      report.unmapped.push({ entry: label, problem: "No verb text." });
+      return;
+    }
+
+    const levels = Array.isArray(entry.levels) ? entry.levels : [entry.levels];
+    const levelIds = [];
+    for (const name of levels) {
+      const id = legacyLevelId(name, bloomLevels);
+      if (id) levelIds.push(id);
+      else report.unmapped.push({ entry: label, problem: `Unknown Bloom level "${name ?? ""}".` });
+    }
+    if (!levelIds.length) {
+      report.unmapped.push({ entry: label, problem: "No recognised Bloom level; entry not imported." });
+      return;
+    }
+
+    const [primaryLevelId, ...alsoFits] = [...new Set(levelIds)];
+    const taskIdeas = (Array.isArray(entry.assessment_examples) ? entry.assessment_examples : [])
+      .filter((x) => typeof x === "string" && x.trim())
+      .map((x) => ({ title: x.trim(), description: "", evidenceProduced: [] }));
+
+    const existing = byVerb.get(verb);
+    if (existing?.migratedFrom) {
+      existing.alsoFitsLevelIds = [...new Set([...existing.alsoFitsLevelIds, ...levelIds])].filter((l) => l !== existing.primaryLevelId);
+      const titles = new Set(existing.taskIdeas.map((t) => t.title));
+      existing.taskIdeas.push(...taskIdeas.filter((t) => !titles.has(t.title)));
+      report.merged += 1;
+      return;
+    }
+    if (existing) {
+      const known = [existing.primaryLevelId, ...(existing.alsoFitsLevelIds || [])];
+      const titles = new Set((existing.taskIdeas || []).map((t) => t.title));
+      const addition = layer.additions.get(existing.id) || { sources: [], levelIds: [], taskIdeas: [] };
+      if (!addition.sources.includes(report.url)) addition.sources.push(report.url);
+      addition.levelIds = [...new Set([...addition.levelIds, ...levelIds.filter((l) => !known.includes(l))])];
+      for (const t of taskIdeas) {
+        if (!titles.has(t.title) && !addition.taskIdeas.some((x) => x.title === t.title)) addition.taskIdeas.push(t);
+      }
+      layer.additions.set(existing.id, addition);
+      report.enriched += 1;
+      return;
+    }
+
+    const migrated = {
+      id: `${primaryLevelId}-${slugify(verb)}`,
+      verb,
+      taxonomyId: bloom.id,
+      primaryLevelId,
+      alsoFitsLevelIds: alsoFits,
+      meaning: { short: "", expanded: "" },
+      synonyms: [],
+      searchKeywords: [],
+      learningOutcomeStems: [],
+      taskIdeas,
+      formatMappings: [],
+      tags: {},
+      migratedFrom: report.url,
+    };
+    layer.verbs.push(migrated);
+    byVerb.set(verb, migrated);
+    report.migrated += 1;
+  });
+}
+
+// Returns a copy of raw with the legacy layer under it: migrated entries the dataset does not have
+// (by id) are appended, and matched entries carry their additions as `legacy`. RAW is never changed.
+function applyLegacyLayer(raw) {
+  if (!LEGACY_LAYER.verbs.length && !LEGACY_LAYER.additions.size) return raw;
+  const ids = new Set((raw.verbs || []).map((v) => v.id));
+  const verbs = (raw.verbs || []).map((v) => (LEGACY_LAYER.additions.has(v.id) ? { ...v, legacy: LEGACY_LAYER.additions.get(v.id) } : v));
+  verbs.push(...LEGACY_LAYER.verbs.filter((v) => !ids.has(v.id)));
+  return { ...raw, verbs };
+}
+
+async function fetchDataset(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to load ${url} (${res.status})`);
+  return parseDatasetText(await res.text());
+}
+
+// Loads every data source, returns the primary dataset and fills LEGACY_LAYER from the legacy files.
+async function loadDatasets() {
+  LOAD_REPORT = [];
+  LEGACY_LAYER = { verbs: [], additions: new Map() };
+  let raw = null;
+
+  for (const source of DATA_SOURCES) {
+    const report = {
+      url: source.url,
+      primary: source.primary,
+      status: "loaded",
+      schema: "",
+      repaired: false,
+      entries: 0,
+      migrated: 0,
+      merged: 0,
+      enriched: 0,
+      unmapped: [],
+    };
+    LOAD_REPORT.push(report);
+
+    let parsed;
+    try {
+      parsed = await fetchDataset(source.url);
+    } catch (err) {
+      // The primary dataset is required; legacy sources are optional
+      if (source.primary) throw err;
+      report.status = "unavailable";
+      report.error = err.message;
+      continue;
+    }
+
+    report.repaired = parsed.repaired;
+    report.schema = detectSchema(parsed.data);
+
+    if (source.primary) {
+      if (report.schema !== "current") {
+        throw new Error(`${source.url} is not in the current schema (detected: ${report.schema}).`);
+      }
+      raw = parsed.data;
+      report.entries = raw.verbs.length;
+      continue;
+    }
+
+    if (report.schema === "current") {
+      report.status = "ignored";
+      report.error = "Already in the current schema; use it as the primary dataset or an overlay instead.";
+      continue;
+    }
+    if (report.schema !== "legacy-flat") {
+      report.status = "ignored";
+      report.error = "Unrecognised structure.";
+      continue;
+    }
+
+    const entries = Array.isArray(parsed.data) ? parsed.data : parsed.data.verbs;
+    report.entries = entries.length;
+    migrateLegacyVerbs(entries, raw, report, LEGACY_LAYER);
+  }
+
+  return raw;
+}
+
+function renderLoadReport() {
+  if (!LOAD_REPORT.length) return "";
+
+  const rows = LOAD_REPORT.map((r) => {
+    const detail =
+      r.status === "loaded" && !r.primary
+        ? `${r.migrated} migrated, ${r.merged} merged into earlier legacy entries, ${r.enriched} noted against existing dataset entries, ${r.unmapped.length} unmapped`
+        : r.error || (r.primary ? `${r.entries} verb entries` : "");
+    return `
+      <tr>
+        <td class="small"><code>${escapeHtml(r.url)}</code>${r.primary ? ` <span class="badge bg-primary">primary</span>` : ""}</td>
+        <td class="small">${escapeHtml(r.schema || "—")}${r.repaired ? ` <span class="badge bg-warning text-dark" title="The file is not valid JSON on its own; it was read as a list of objects.">repaired</span>` : ""}</td>
+        <td class="small">${escapeHtml(r.status)}</td>
+        <td class="small">${escapeHtml(detail)}</td>
+      </tr>
+    `;
+  }).join("");
+
+  const unmapped = LOAD_REPORT.flatMap((r) => r.unmapped.map((u) => ({ ...u, url: r.url })));
+  const unmappedHtml = unmapped.length
+    ? `<div class="fw-semibold small mt-3 mb-1">Could not be mapped</div>
+      <div class="table-responsive">
+        <table class="table table-sm table-bordered align-middle">
+          <thead><tr><th>File</th><th>Entry</th><th>Problem</th></tr></thead>
+          <tbody>
+            ${unmapped
+              .map(
+                (u) => `<tr><td class="small"><code>${escapeHtml(u.url)}</code></td><td class="small">${escapeHtml(u.entry)}</td><td class="small">${escapeHtml(u.problem)}</td></tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </div>`
+    : "";
+
+  return `
+    <div class="card mb-3">
+      <div class="card-header">Data sources</div>
+      <div class="card-body">
+        <div class="table-responsive">
+          <table class="table table-sm table-bordered align-middle">
+            <thead><tr><th>File</th><th>Schema</th><th>Status</th><th>Result</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        <div class="small text-muted">
+          Legacy entries keep their Bloom levels and assessment examples (as task ideas). They carry no meanings,
+          stems or format mappings, so these still need writing; they are not written to verbs.json until saved in the editor.
+          For verbs the dataset already has, the legacy levels and examples are shown as notes on the entry.
+        </div>
+        ${unmappedHtml}
+      </div>
+    </div>
+  `;
+}
+
+// -------------------- Overlay datasets (persisted) --------------------
+// Departments can import overlay files ({ meta: { name }, verbs: [...], assessmentFormats: [...] })
+// that add entries or override fields of existing entries by id. Overlays apply in import order
+// on top of the loaded dataset; RAW itself (what the editor saves) is never changed by them.
+const OVERLAYS_STORAGE_KEY = "bloomsOverlays";
+const OVERLAY_LISTS = { verbs: "verb", assessmentFormats: "format" };
+
+let OVERLAYS = []; // [{ id, name, fileName, importedAt, enabled, data }]
+let OVERLAY_CONFLICTS = []; // ids that collided during the last merge
+
+function loadOverlays() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(OVERLAYS_STORAGE_KEY) || "[]");
+    OVERLAYS = Array.isArray(parsed) ? parsed.filter((o) => o && o.data) : [];
+  } catch {
+    OVERLAYS = [];
+  }
+}
+
+function saveOverlays() {
+  try {
+    localStorage.setItem(OVERLAYS_STORAGE_KEY, JSON.stringify(OVERLAYS));
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+function isOverlayData(data) {
+  return (
+    !!data &&
+    typeof data === "object" &&
+    !Array.isArray(data) &&
+    Object.keys(OVERLAY_LISTS).some((key) => Array.isArray(data[key]))
+  );
+}
+
+// Returns a copy of raw with every enabled overlay merged in. Merged entries carry
+// `overlay` (the overlay's name) and, when they replaced an existing entry, `overrides`.
+function applyOverlays(raw) {
+  OVERLAY_CONFLICTS = [];
+  const active = OVERLAYS.filter((o) => o.enabled !== false);
+  if (!active.length) return raw;
+
+  const merged = { ...raw };
+  for (const [listKey, kind] of Object.entries(OVERLAY_LISTS)) {
+    const list = [...(raw[listKey] || [])];
+    const sourceById = new Map(list.map((x) => [x.id, x.migratedFrom || "verbs.json"]));
+
+    for (const overlay of active) {
+      for (const entry of overlay.data[listKey] || []) {
+        if (!entry?.id) {
+          OVERLAY_CONFLICTS.push({ kind, id: "", overlay: overlay.name, problem: "Entry has no id and was ignored." });
+          continue;
+        }
+
+        const idx = list.findIndex((x) => x.id === entry.id);
+        if (idx === -1) {
+          list.push({ ...entry, overlay: overlay.name });
+        } else {
+          const overrides = sourceById.get(entry.id);
+          OVERLAY_CONFLICTS.push({
+            kind,
+            id: entry.id,
+            overlay: overlay.name,
+            problem: `Overrides ${Object.keys(entry).filter((k) => k !== "id").join(", ") || "nothing"} from ${overrides}.`,
+          });
+          list[idx] = { ...list[idx], ...entry, overlay: overlay.name, overrides };
+        }
+        sourceById.set(entry.id, overlay.name);
+      }
+    }
+    merged[listKey] = list;
+  }
+  return merged;
+}
+
+async function importOverlayFiles(files) {
+  const messages = [];
+  for (const file of files) {
+    try {
+      const { data } = parseDatasetText(await file.text());
+      if (!isOverlayData(data)) throw new Error("expected an object with a verbs and/or assessmentFormats list");
+
+      const name = String(data.meta?.name || file.name.replace(/\.json$/i, "")).trim();
+      const existing = OVERLAYS.find((o) => o.name === name);
+      const overlay = { id: existing?.id || newId("ovl"), name, fileName: file.name, importedAt: new Date().toISOString(), enabled: true, data };
+      // Re-importing a file with the same name replaces it in place
+      if (existing) OVERLAYS[OVERLAYS.indexOf(existing)] = overlay;
+      else OVERLAYS.push(overlay);
+      messages.push({ ok: true, text: `${file.name}: ${existing ? "replaced" : "imported"} overlay "${name}".` });
+    } catch (err) {
+      messages.push({ ok: false, text: `${file.name}: ${err.message}` });
+    }
+  }
+
+  if (!saveOverlays()) messages.push({ ok: false, text: "Overlays could not be saved in this browser (storage full?). They apply until the page is reloaded." });
+  return messages;
+}
+
+function overlayBadge(entry) {
+  if (!entry?.overlay) return "";
+  const title = entry.overrides ? `From overlay “${entry.overlay}”, overriding ${entry.overrides}` : `From overlay “${entry.overlay}”`;
+  return `<span class="badge bg-info text-dark ms-1" title="${escapeHtml(title)}">${escapeHtml(entry.overlay)}</span>`;
+}
+
+// Adapts RAW with overlays applied. A broken overlay must not lock users out (it is persisted),
+// so adaptation falls back to the dataset alone and records why.
+function buildApp() {
+  const base = applyLegacyLayer(RAW);
+  const merged = applyOverlays(base);
+  DATA_ISSUES = validateDataset(merged);
+  if (merged === base) return adaptNewSchema(base);
+
+  try {
+    return adaptNewSchema(merged);
+  } catch (err) {
+    console.warn(err);
+    OVERLAY_CONFLICTS.push({ kind: "", id: "", overlay: "(all)", problem: `Overlays could not be applied: ${err.message}` });
+    DATA_ISSUES = validateDataset(base);
+    return adaptNewSchema(base);
+  }
+}
+
+function renderOverlayReport(messages = []) {
+  const rows = OVERLAYS.map((o) => {
+    const counts = Object.entries(OVERLAY_LISTS)
+      .map(([key, kind]) => `${(o.data[key] || []).length} ${kind}(s)`)
+      .join(", ");
+    return `
+      <tr>
+        <td>
+          <div class="form-check mb-0">
+            <input class="form-check-input overlay-toggle" type="checkbox" id="ovl-${escapeHtml(o.id)}" data-overlay-id="${escapeHtml(o.id)}"
+              ${o.enabled !== false ? "checked" : ""} />
+            <label class="form-check-label small" for="ovl-${escapeHtml(o.id)}">${escapeHtml(o.name)}</label>
+          </div>
+        </td>
+        <td class="small"><code>${escapeHtml(o.fileName || "")}</code></td>
+        <td class="small">${escapeHtml(counts)}</td>
+        <td class="small">${escapeHtml(String(o.importedAt || "").slice(0, 10))}</td>
+        <td class="text-end"><button class="btn btn-sm btn-outline-secondary overlay-remove" data-overlay-id="${escapeHtml(o.id)}">Remove</button></td>
+      </tr>
+    `;
+  }).join("");
+
+  const conflicts = OVERLAY_CONFLICTS.length
+    ? `<div class="fw-semibold small mt-3 mb-1">Conflicts (${OVERLAY_CONFLICTS.length})</div>
+      <div class="table-responsive">
+        <table class="table table-sm table-bordered align-middle">
+          <thead><tr><th>Overlay</th><th>Entry</th><th>Problem</th></tr></thead>
+          <tbody>
+            ${OVERLAY_CONFLICTS.map(
+              (c) => `<tr><td class="small">${escapeHtml(c.overlay)}</td><td class="small">${escapeHtml(c.kind)} <code>${escapeHtml(c.id || "—")}</code></td><td class="small">${escapeHtml(c.problem)}</td></tr>`
+            ).join("")}
+          </tbody>
+        </table>
+      </div>`
+    : OVERLAYS.length
+      ? `<div class="small text-muted mt-2">No id collisions between overlays and the dataset.</div>`
+      : "";
+
+  return `
+    <div class="card mb-3" id="overlayCard">
+      <div class="card-header">Overlay datasets</div>
+      <div class="card-body">
+        ${messages.map((m) => `<div class="alert ${m.ok ? "alert-success" : "alert-danger"} py-2 small">${escapeHtml(m.text)}</div>`).join("")}
+        ${
+          OVERLAYS.length
+            ? `<div class="table-responsive">
+                <table class="table table-sm align-middle">
+                  <thead><tr><th>Overlay</th><th>File</th><th>Entries</th><th>Imported</th><th></th></tr></thead>
+                  <tbody>${rows}</tbody>
+                </table>
+              </div>
+              <div class="small text-muted">Overlays apply top to bottom; later overlays win when ids collide.</div>`
+            : `<div class="small text-muted">No overlays imported. Use “Import overlay” to add discipline-specific verbs or local assessment formats.</div>`
+        }
+        ${conflicts}
+      </div>
+    </div>
+  `;
+}
+
+function initOverlays() {
+  $("#overlayFileInput").off("change").on("change", async function () {
+    const files = Array.from(this.files || []);
+    this.value = "";
+    if (!files.length) return;
+    const messages = await importOverlayFiles(files);
+    refreshDataset();
+    renderValidationReport(messages);
+  });
+
+  $(document)
+    .off("change", ".overlay-toggle")
+    .on("change", ".overlay-toggle", function () {
+      const overlay = OVERLAYS.find((o) => o.id === String($(this).data("overlay-id")));
+      if (!overlay) return;
+      overlay.enabled = this.checked;
+      saveOverlays();
+      refreshDataset();
+      renderValidationReport();
+    });
+
+  $(document)
+    .off("click", ".overlay-remove")
+    .on("click", ".overlay-remove", function () {
+      const overlay = OVERLAYS.find((o) => o.id === String($(this).data("overlay-id")));
+      if (!overlay || !confirm(`Remove the overlay "${overlay.name}"?`)) return;
+      OVERLAYS = OVERLAYS.filter((o) => o !== overlay);
+      saveOverlays();
+      refreshDataset();
+      renderValidationReport();
+    });
 }
 
 // -------------------- Lookup helpers (ID-first) --------------------
@@ -163,9 +1055,9 @@ function getVerbById(id) {
 }
 
 function getVerbMatchesByText(query) {
-  const q = (query || "").trim().toLowerCase();
+  const q = normaliseSpelling((query || "").trim());
   if (!q) return [];
-  return APP.verbs.filter((v) => (v.verb || "").toLowerCase() === q);
+  return APP.verbs.filter((v) => normaliseSpelling(v.verb || "") === q);
 }
 
 function byBloomOrder(levelName) {
@@ -173,8 +1065,21 @@ function byBloomOrder(levelName) {
   return meta ? meta.order : 999;
 }
 
+// Active taxonomy first; saved outcomes may still reference levels of another taxonomy.
 function getLevelMetaById(levelId) {
-  return APP.bloomLevels.find((l) => l.id === levelId) || null;
+  return APP.bloomLevels.find((l) => l.id === levelId) || APP.allLevels.find((l) => l.id === levelId) || null;
+}
+
+// Lower rank = better evidence of the verb through that format.
+const SUITABILITY_RANK = { high: 0, "context-dependent": 1, medium: 2, low: 3 };
+
+function suitabilityRank(suitability) {
+  return SUITABILITY_RANK[suitability] ?? 9;
+}
+
+function getSuitability(verbObj, formatId) {
+  const m = (verbObj?.formatMappings || []).find((x) => x.assessmentFormatId === formatId);
+  return m ? m.suitability : null;
 }
 
 function formatNamesFromIds(ids) {
@@ -184,18 +1089,23 @@ function formatNamesFromIds(ids) {
     .map((f) => f.name);
 }
 
-function renderLevelPills(levelNames) {
+// Levels the verb belongs to are clickable (.level-pill) so the detail view can switch level
+function renderLevelPills(levelNames, selectedLevelId = null) {
   const all = [...APP.bloomLevels].sort((a, b) => a.order - b.order);
   const active = new Set(levelNames || []);
 
   return all
     .map((lvl) => {
       const isActive = active.has(lvl.name);
+      const isSelected = isActive && lvl.id === selectedLevelId;
       const color = isActive ? lvl.color : "#C0C0C0";
       const disabled = isActive ? "" : "disabled";
       return `
-        <button class="btn btn-sm me-2 mb-2" style="background-color:${color}; color:#fff" ${disabled}
-          title="${escapeHtml(lvl.description || "")}">
+        <button class="btn btn-sm me-2 mb-2 level-pill" style="background-color:${color}; color:#fff${
+          isSelected ? "; box-shadow: 0 0 0 3px rgba(0,0,0,.35)" : ""
+        }" ${disabled}
+          data-level-id="${escapeHtml(lvl.id)}" aria-pressed="${isSelected}"
+          title="${escapeHtml(lvl.description || "")}${isActive && !isSelected ? " (click to view this level)" : ""}">
           ${escapeHtml(lvl.name)}
         </button>
       `;
@@ -205,11 +1115,15 @@ function renderLevelPills(levelNames) {
 
 // -------------------- Mode control --------------------
 function setMode(mode) {
-  // mode: "start" | "lo" | "assessment"
+  // mode: "start" | "lo" | "assessment" | "analyse" | "admin" | "edit"
+  VIEW_STATE = { mode };
+  syncUrl("push");
+
   const startChoice = $("#startChoice");
   const workflowArea = $("#workflowArea");
   const loFlow = $("#loFlow");
   const assessmentFlow = $("#assessmentFlow");
+  const analyseFlow = $("#analyseFlow");
   const backBtn = $("#backBtn");
 
   if (mode === "start") {
@@ -221,6 +1135,9 @@ function setMode(mode) {
     workflowArea.removeClass("d-none");
     loFlow.addClass("d-none");
     assessmentFlow.addClass("d-none");
+    analyseFlow.addClass("d-none");
+    $("#adminFlow").addClass("d-none");
+    $("#editFlow").addClass("d-none");
 
     if (mode === "lo") {
       loFlow.removeClass("d-none");
@@ -235,6 +1152,23 @@ function setMode(mode) {
       showInfo("Choose an assessment format to see verb entries grouped by Bloom level. Click a verb for details.");
     }
 
+    if (mode === "analyse") {
+      analyseFlow.removeClass("d-none");
+      $("#loAnalyseInput").focus();
+      showInfo("Paste one or more learning outcomes and press Analyse to see the verbs and Bloom levels they imply.");
+    }
+
+    if (mode === "admin") {
+      $("#adminFlow").removeClass("d-none");
+      renderValidationReport();
+    }
+
+    if (mode === "edit") {
+      $("#editFlow").removeClass("d-none");
+      populateEditorSelects();
+      showInfo("Choose a verb entry or assessment format to edit, or create a new one. Changes are checked against the dataset's validation rules as you type.");
+    }
+
     backBtn.off("click").on("click", () => setMode("start"));
   }
 }
@@ -296,17 +1230,400 @@ function renderVerbChoiceList(matches) {
   });
 }
 
-// -------------------- Bloom hierarchy (always visible) --------------------
-function renderBloomHierarchy() {
-  const accordionId = "bloomAccordion";
+// -------------------- Ranked verb search --------------------
+// Optimal string alignment distance (Levenshtein + adjacent transpositions), capped for speed.
+function editDistance(a, b, max = 3) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
 
-  // Build levelId -> verb entries
-  const groupsByLevelId = new Map();
-  for (const lvl of APP.bloomLevels) groupsByLevelId.set(lvl.id, []);
+function typoTolerance(term) {
+  if (term.length >= 7) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
 
-  // IMPORTANT: use expanded v.levelIds (includes stemsByLevel/levelGuidance keys)
-  for (const v of APP.verbs) {
-    const ids = new Set((v.levelIds || []).filter(Boolean));
+// Score one term field; returns { score, reason } or null.
+function scoreTerm(q, term, { exact, prefix, typo, label }) {
+  const t = normaliseSpelling(term);
+  if (!t) return null;
+  if (t === q) return { score: exact, reason: label ? `${label} “${term}”` : "verb matches" };
+  if (q.length >= 2 && t.startsWith(q)) return { score: prefix, reason: label ? `${label} “${term}” starts with “${q}”` : `starts with “${q}”` };
+  const tol = typoTolerance(q);
+  if (tol) {
+    const dist = editDistance(q, t, tol);
+    if (dist <= tol) {
+      return { score: typo - 10 * dist, reason: `close spelling of ${label ? `${label} ` : ""}“${term}”` };
+    }
+  }
+  return null;
+}
+
+function searchVerbs(query) {
+  const q = String(query || "")
+    .trim()
+    .split(/\s+/)
+    .map(normaliseSpelling)
+    .join(" ");
+  if (!q) return [];
+
+  const results = [];
+  for (const v of APP.verbs) {
+    const hits = [
+      scoreTerm(q, v.verb, { exact: 100, prefix: 80, typo: 70, label: "" }),
+      ...(v.synonyms || []).map((s) => scoreTerm(q, s, { exact: 70, prefix: 50, typo: 45, label: "synonym" })),
+      ...(v.searchKeywords || []).map((k) => scoreTerm(q, k, { exact: 60, prefix: 45, typo: 40, label: "keyword" })),
+    ].filter(Boolean);
+
+    // Meaning text: every query word must appear as a word (or the start of one)
+    const meaningWords = String(
+      typeof v.meaning === "string" ? v.meaning : [v.meaning?.short, v.meaning?.expanded].filter(Boolean).join(" ")
+    )
+      .split(/[^A-Za-z]+/)
+      .map(normaliseSpelling);
+    const inMeaning = (w) => meaningWords.some((m) => m === w || (w.length >= 4 && m.startsWith(w)));
+    if (q.length >= 3 && q.split(" ").every(inMeaning)) {
+      hits.push({ score: 20, reason: `meaning mentions “${q}”` });
+    }
+
+    if (!hits.length) continue;
+    hits.sort((a, b) => b.score - a.score);
+    results.push({ verb: v, score: hits[0].score, reasons: hits.map((h) => h.reason) });
+  }
+
+  return results.sort(
+    (a, b) => b.score - a.score || (a.verb.verb || "").localeCompare(b.verb.verb || "") || byBloomOrder(a.verb.levels?.[0]) - byBloomOrder(b.verb.levels?.[0])
+  );
+}
+
+function renderVerbSearchResults(query, results) {
+  if (!results.length) {
+    showInfo(`Nothing in the verb library matches “${query}”. Try a shorter or related word, or browse the Bloom hierarchy.`);
+    return;
+  }
+
+  const rows = results
+    .slice(0, 15)
+    .map((r) => {
+      const v = r.verb;
+      const primaryMeta = getLevelMetaById(v.primaryLevelId);
+      return `
+        <button class="list-group-item list-group-item-action verb-choice"
+          data-verb-id="${escapeHtml(v.id)}"
+          data-level-id="${escapeHtml(v.primaryLevelId || "")}">
+          <strong>${escapeHtml(v.verb)}</strong>
+          <span class="text-muted">— ${escapeHtml(primaryMeta ? primaryMeta.name : v.primaryLevelId || "—")}</span>
+          <div class="small text-muted">Matched: ${r.reasons.slice(0, 3).map(escapeHtml).join("; ")}</div>
+        </button>
+      `;
+    })
+    .join("");
+
+  $("#resultsArea").html(`
+    <div class="alert alert-info">
+      No verb is spelled exactly “${escapeHtml(query)}”. Closest entries in the library:
+    </div>
+    <div class="list-group mb-3">
+      ${rows}
+    </div>
+  `);
+
+  $(".verb-choice").on("click", function () {
+    const id = String($(this).data("verb-id") || "");
+    const levelId = String($(this).data("level-id") || "");
+    selectVerbById(id, { switchToLO: false, selectedLevelId: levelId || null });
+  });
+}
+
+// jQuery UI autocomplete source: one suggestion per verb text, labelled with why it matched.
+function verbAutocompleteSource(request, response) {
+  const seen = new Set();
+  const items = [];
+  for (const r of searchVerbs(request.term)) {
+    if (seen.has(r.verb.verb)) continue;
+    seen.add(r.verb.verb);
+    const why = r.score >= 100 ? "" : ` (${r.reasons[0]})`;
+    items.push({ label: `${r.verb.verb}${why}`, value: r.verb.verb });
+    if (items.length >= 10) break;
+  }
+  response(items);
+}
+
+// -------------------- Faceted filters (uiHints.suggestedFilters) --------------------
+// verbs[].tags is either a list of labels or an object of named hints; facets read both shapes.
+function verbTagObject(v) {
+  return v.tags && !Array.isArray(v.tags) && typeof v.tags === "object" ? v.tags : {};
+}
+
+function verbTagList(v) {
+  const own = Array.isArray(v.tags) ? v.tags : verbTagObject(v).evidenceType || [];
+  const fromMappings = (v.formatMappings || []).flatMap((m) => m.tags || []);
+  return [...own, ...fromMappings];
+}
+
+function levelLabel(id) {
+  return getLevelMetaById(id)?.name || id;
+}
+
+const FACETS = {
+  assessmentFormat: {
+    label: "Assessment format",
+    values: (v) => v.assessmentFormatIds || [],
+    valueLabel: (id) => APP.formatIdToName.get(id) || id,
+  },
+  bloomLevel: { label: "Level", values: (v) => v.levelIds || [], valueLabel: levelLabel, byLevel: true },
+  keyword: { label: "Keyword", values: (v) => v.searchKeywords || [] },
+  synonym: { label: "Synonym", values: (v) => v.synonyms || [] },
+  tag: { label: "Tag", values: verbTagList },
+  aiRisk: {
+    label: "AI risk",
+    values: (v) => [verbTagObject(v).aiRisk || verbTagObject(v).aiRiskHint].filter(Boolean),
+  },
+  delivery: { label: "Delivery", values: (v) => verbTagObject(v).delivery || [] },
+  primaryLevel: { label: "Primary level", values: (v) => [v.primaryLevelId].filter(Boolean), valueLabel: levelLabel, byLevel: true },
+  alsoFitsLevels: { label: "Also fits level", values: (v) => v.alsoFitsLevelIds || [], valueLabel: levelLabel, byLevel: true },
+  diagnosticStrength: { label: "Diagnostic strength", values: (v) => [v.diagnosticStrength].filter(Boolean) },
+};
+
+// facetId -> Set of selected values. Values within a facet are OR-ed, facets are AND-ed.
+const ACTIVE_FILTERS = new Map();
+
+function activeFacetIds() {
+  return (APP.suggestedFilters || []).filter((id) => FACETS[id]);
+}
+
+function verbMatchesFilters(v, { exceptFacet = null } = {}) {
+  for (const [facetId, selected] of ACTIVE_FILTERS) {
+    if (facetId === exceptFacet || !selected.size || !FACETS[facetId]) continue;
+    const values = FACETS[facetId].values(v);
+    if (!values.some((x) => selected.has(String(x)))) return false;
+  }
+  return true;
+}
+
+function hasActiveFilters() {
+  return [...ACTIVE_FILTERS.values()].some((set) => set.size);
+}
+
+function readFiltersFromUrl() {
+  ACTIVE_FILTERS.clear();
+  const params = new URLSearchParams(window.location.search);
+  for (const facetId of activeFacetIds()) {
+    const values = params.getAll(facetId).filter(Boolean);
+    if (values.length) ACTIVE_FILTERS.set(facetId, new Set(values));
+  }
+}
+
+// Filters share the query string with the current view (see Deep links and browser history)
+function writeFiltersToUrl() {
+  syncUrl("replace");
+}
+
+function renderFilterPanel() {
+  const target = $("#filterPanel");
+  if (!target.length) return;
+
+  const facetIds = activeFacetIds();
+  if (!facetIds.length) {
+    $("#filterCard").addClass("d-none");
+    return;
+  }
+  $("#filterCard").removeClass("d-none");
+
+  const groups = facetIds
+    .map((facetId) => {
+      const facet = FACETS[facetId];
+      const selected = ACTIVE_FILTERS.get(facetId) || new Set();
+
+      // Counts honour every other active facet, so they show what ticking the value would leave
+      const counts = new Map();
+      for (const v of APP.verbs) {
+        if (!verbMatchesFilters(v, { exceptFacet: facetId })) continue;
+        for (const value of new Set(facet.values(v).map(String))) counts.set(value, (counts.get(value) || 0) + 1);
+      }
+      for (const value of selected) if (!counts.has(value)) counts.set(value, 0);
+
+      const values = [...counts.keys()].sort((a, b) =>
+        facet.byLevel
+          ? (getLevelMetaById(a)?.order ?? 999) - (getLevelMetaById(b)?.order ?? 999)
+          : String(facet.valueLabel ? facet.valueLabel(a) : a).localeCompare(String(facet.valueLabel ? facet.valueLabel(b) : b))
+      );
+      if (!values.length) return "";
+
+      const checks = values
+        .map((value, i) => {
+          const id = `flt-${facetId}-${i}`;
+          return `
+            <div class="form-check">
+              <input class="form-check-input facet-value" type="checkbox" id="${id}" data-facet="${facetId}"
+                value="${escapeHtml(value)}" ${selected.has(value) ? "checked" : ""} />
+              <label class="form-check-label small" for="${id}">
+                ${escapeHtml(facet.valueLabel ? facet.valueLabel(value) : value)}
+                <span class="text-muted">(${counts.get(value)})</span>
+              </label>
+            </div>
+          `;
+        })
+        .join("");
+
+      return `
+        <div class="col-12 col-md-6 col-xl-3">
+          <details ${selected.size ? "open" : ""}>
+            <summary class="small fw-semibold">${escapeHtml(facet.label)}${selected.size ? ` (${selected.size})` : ""}</summary>
+            <div class="mt-1" style="max-height: 12rem; overflow-y: auto">${checks}</div>
+          </details>
+        </div>
+      `;
+    })
+    .join("");
+
+  target.html(`<div class="row g-3">${groups}</div>`);
+
+  const shown = APP.verbs.filter((v) => verbMatchesFilters(v)).length;
+  $("#filterSummary").text(hasActiveFilters() ? `${shown} of ${APP.verbs.length} verb entries` : "");
+  $("#clearFilters").prop("disabled", !hasActiveFilters());
+
+  target.find(".facet-value").on("change", function () {
+    const facetId = String($(this).data("facet"));
+    if (!ACTIVE_FILTERS.has(facetId)) ACTIVE_FILTERS.set(facetId, new Set());
+    const set = ACTIVE_FILTERS.get(facetId);
+    if (this.checked) set.add(String($(this).val()));
+    else set.delete(String($(this).val()));
+    if (!set.size) ACTIVE_FILTERS.delete(facetId);
+    applyFilters();
+  });
+}
+
+function applyFilters() {
+  writeFiltersToUrl();
+  renderFilterPanel();
+  renderBloomHierarchy();
+  if (!$("#assessmentFlow").hasClass("d-none") && $("#assessmentSelect").val()) {
+    renderVerbsForAssessment($("#assessmentSelect").val());
+  }
+}
+
+function initFilters() {
+  readFiltersFromUrl();
+  $("#clearFilters").off("click").on("click", () => {
+    ACTIVE_FILTERS.clear();
+    applyFilters();
+  });
+  renderFilterPanel();
+}
+
+// -------------------- Deep links and browser history --------------------
+// The current view sits in the query string next to the facet filters, e.g.
+// ?mode=lo&verb=evaluate-evaluate&level=evaluate&fw=nfq&nfq=8&bloomLevel=evaluate
+// Opening a new view pushes a history entry; filter and qualification changes replace the current one.
+const VIEW_MODES = ["start", "lo", "assessment", "analyse", "admin", "edit"];
+const VIEW_PARAMS = ["mode", "verb", "level", "format", "fw", "nfq"];
+let VIEW_STATE = { mode: "start" };
+let VIEW_SYNC_PENDING = null; // "push" | "replace", flushed once per task so setMode + render make one entry
+
+function viewUrl() {
+  const params = new URLSearchParams(window.location.search);
+  for (const key of [...VIEW_PARAMS, ...Object.keys(FACETS)]) params.delete(key);
+
+  const nfq = $("#nfqSelect").val();
+  const state = { ...VIEW_STATE, fw: nfq ? currentFrameworkId() : "", nfq: nfq || "" };
+  if (state.mode === "start") delete state.mode;
+  for (const key of VIEW_PARAMS) if (state[key]) params.append(key, state[key]);
+  for (const [facetId, selected] of ACTIVE_FILTERS) {
+    for (const value of selected) params.append(facetId, value);
+  }
+
+  const qs = params.toString();
+  return `${window.location.pathname}${qs ? `?${qs}` : ""}${window.location.hash}`;
+}
+
+function syncUrl(kind = "push") {
+  if (!VIEW_SYNC_PENDING) {
+    queueMicrotask(() => {
+      const push = VIEW_SYNC_PENDING === "push";
+      VIEW_SYNC_PENDING = null;
+      const url = viewUrl();
+      if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+      if (push) history.pushState({ view: true }, "", url);
+      else history.replaceState(history.state, "", url);
+    });
+  }
+  if (VIEW_SYNC_PENDING !== "push") VIEW_SYNC_PENDING = kind;
+}
+
+// Re-renders of the same view (e.g. after an NFQ change) leave history alone
+function setViewState(changes) {
+  const next = { ...VIEW_STATE, ...changes };
+  if (VIEW_PARAMS.every((key) => (next[key] || "") === (VIEW_STATE[key] || ""))) return;
+  VIEW_STATE = next;
+  syncUrl("push");
+}
+
+// Rebuilds the view from the URL: on load and when the user moves through history
+function restoreViewFromUrl({ fromHistory = false } = {}) {
+  const params = new URLSearchParams(window.location.search);
+
+  readFiltersFromUrl();
+  renderFilterPanel();
+  renderBloomHierarchy();
+
+  const fw = params.get("fw");
+  const nfq = params.get("nfq");
+  if (fw || nfq) {
+    populateFrameworkSelects(fw || currentFrameworkId(), nfq || "");
+    $("#frameworkSelect").data("previous", currentFrameworkId());
+    renderQfTips($("#nfqSelect").val());
+  } else if (fromHistory && $("#nfqSelect").val()) {
+    // An entry made before a level was chosen; on load the active module's level is kept instead
+    populateFrameworkSelects(currentFrameworkId(), "");
+    renderQfTips("");
+  }
+
+  const mode = VIEW_MODES.includes(params.get("mode")) ? params.get("mode") : "start";
+  setMode(mode);
+
+  const format = APP.assessmentFormats.find((f) => f.id === params.get("format"));
+  if (format) {
+    $("#assessmentSelect").val(format.id);
+    renderVerbsForAssessment(format.id);
+  }
+
+  const verb = getVerbById(params.get("verb") || "");
+  if (verb) {
+    $("#verbSearch").val(verb.verb);
+    renderVerbDetails(verb, { selectedLevelId: getLevelMetaById(params.get("level")) ? params.get("level") : null });
+  }
+  refreshQfViews();
+
+  // Tidy the URL (e.g. an unknown verb id) without adding an entry
+  VIEW_SYNC_PENDING = "replace";
+}
+
+function initHistory() {
+  window.addEventListener("popstate", () => restoreViewFromUrl({ fromHistory: true }));
+  restoreViewFromUrl();
+}
+
+// -------------------- Bloom hierarchy (always visible) --------------------
+function renderBloomHierarchy() {
+  const accordionId = "bloomAccordion";
+
+  // Build levelId -> verb entries
+  const groupsByLevelId = new Map();
+  for (const lvl of APP.bloomLevels) groupsByLevelId.set(lvl.id, []);
+
+  // IMPORTANT: use expanded v.levelIds (includes stemsByLevel/levelGuidance keys)
+  for (const v of APP.verbs.filter((v) => verbMatchesFilters(v))) {
+    const ids = new Set((v.levelIds || []).filter(Boolean));
     for (const lvlId of ids) {
       if (!groupsByLevelId.has(lvlId)) groupsByLevelId.set(lvlId, []);
       groupsByLevelId.get(lvlId).push(v);
@@ -329,17 +1646,18 @@ function renderBloomHierarchy() {
               const tip = [
                 v.meaning?.short ? v.meaning.short : "",
                 v.diagnosticStrength ? `Strength: ${v.diagnosticStrength}` : "",
+                v.overlay ? `From overlay: ${v.overlay}` : "",
               ]
                 .filter(Boolean)
                 .join(" • ");
 
               return `
-                <button class="btn btn-sm btn-outline-secondary me-2 mb-2 nav-verb"
+                <button class="btn btn-sm btn-outline-secondary me-2 mb-2 nav-verb ${qfLevelClass(lvl.id)}"
                   data-verb-id="${escapeHtml(v.id)}"
                   data-level-id="${escapeHtml(lvl.id)}"
                   title="${escapeHtml(tip || "Click to view details")}"
                 >
-                  ${escapeHtml(v.verb)}
+                  ${escapeHtml(v.verb)}${overlayBadge(v)}
                 </button>
               `;
             })
@@ -351,8 +1669,14 @@ function renderBloomHierarchy() {
           <h2 class="accordion-header" id="b-h-${idx}">
             <button class="accordion-button ${idx === 0 ? "" : "collapsed"}" type="button" data-bs-toggle="collapse"
               data-bs-target="#b-c-${idx}" aria-expanded="${idx === 0 ? "true" : "false"}" aria-controls="b-c-${idx}">
-              <span class="badge me-2" style="background:${lvl.color}; color:#fff">${escapeHtml(lvl.name)}</span>
-              <span class="text-muted">${escapeHtml(lvl.description || "")}</span>
+              <span class="d-flex flex-column me-2">
+                <span>
+                  <span class="badge me-2" style="background:${lvl.color}; color:#fff">${escapeHtml(lvl.name)}</span>
+                  <span class="text-muted">${escapeHtml(lvl.description || "")}</span>
+                </span>
+                ${levelHeaderGuideHtml(lvl)}
+              </span>
+              ${qfLevelBadge(lvl.id)}
             </button>
           </h2>
           <div id="b-c-${idx}" class="accordion-collapse collapse ${idx === 0 ? "show" : ""}"
@@ -366,6 +1690,12 @@ function renderBloomHierarchy() {
     })
     .join("");
 
+  const unmapped = APP.verbs.filter((v) => !v.levelIds.length).length;
+  const taxonomy = getActiveTaxonomy();
+  $("#hierarchyTitle").text(taxonomy?.key === "bloom" ? "Bloom hierarchy" : taxonomy?.name || "Hierarchy");
+  $("#hierarchyNote").text(
+    unmapped ? `${unmapped} verb entr${unmapped === 1 ? "y is" : "ies are"} not mapped to ${taxonomy?.name || "this taxonomy"} yet.` : ""
+  );
   $("#" + accordionId).html(items);
 
   $(".nav-verb")
@@ -386,25 +1716,178 @@ function renderBloomHierarchy() {
     });
 }
 
-// -------------------- Verb detail renderer --------------------
-function renderVerbDetails(verbObj, { selectedLevelId = null } = {}) {
-  if (!verbObj) return;
+// -------------------- Level guardrails --------------------
+// verbGuardrails.avoidIfYouMean on a level lists verbs that misstate that level's demand
+// (e.g. Evaluate warns against "describe"). Matching is on the normalised verb text.
+function guardrailLevelsForVerb(verbObj) {
+  const word = normaliseSpelling(verbObj?.verb || "");
+  if (!word) return [];
+  return APP.bloomLevels
+    .filter((lvl) => (lvl.guardrails?.avoidIfYouMean || []).some((w) => normaliseSpelling(w) === word))
+    .sort((a, b) => a.order - b.order);
+}
 
-  const levelNames = [...(verbObj.levels || [])].sort((a, b) => byBloomOrder(a) - byBloomOrder(b));
-  const formatsSimple = formatNamesFromIds(verbObj.assessmentFormatIds || []);
+function verbGuardrailWarnings(verbObj) {
+  const signals = (verbObj.levels || []).join(", ") || "another level";
+  return guardrailLevelsForVerb(verbObj)
+    .filter((lvl) => !(verbObj.levelIds || []).includes(lvl.id))
+    .map((lvl) => ({
+      level: lvl,
+      message: `Avoid “${verbObj.verb}” if you mean ${lvl.name}: it signals ${signals}.`,
+    }));
+}
+
+function levelPitfalls(levelId) {
+  return getLevelMetaById(levelId)?.guardrails?.commonPitfalls || [];
+}
+
+// Warning when the verb is on the target level's avoidIfYouMean list, e.g. "describe" while targeting Evaluate
+function guardrailConflict(verbObj, targetLevelId) {
+  const lvl = getLevelMetaById(targetLevelId);
+  if (!lvl || (verbObj.levelIds || []).includes(lvl.id) || !guardrailLevelsForVerb(verbObj).includes(lvl)) return null;
+  const pitfall = levelPitfalls(lvl.id)[0];
+  return `“${verbObj.verb}” is flagged for ${lvl.name}: it does not evidence that level.${pitfall ? ` ${pitfall}` : ""}`;
+}
+
+// One-line summary for accordion headers: prompt verbs and the verbs to avoid
+function levelHeaderGuideHtml(lvl) {
+  const prompts = lvl.prompts || [];
+  const avoid = lvl.guardrails?.avoidIfYouMean || [];
+  if (!prompts.length && !avoid.length) return "";
+  const pitfalls = (lvl.guardrails?.commonPitfalls || []).join(" ");
+  return `
+    <span class="small text-muted mt-1">
+      ${prompts.length ? `Prompts: ${prompts.map(escapeHtml).join(", ")}` : ""}
+      ${avoid.length ? `${prompts.length ? " · " : ""}<span class="text-danger" title="${escapeHtml(pitfalls)}">avoid: ${avoid.map(escapeHtml).join(", ")}</span>` : ""}
+    </span>
+  `;
+}
+
+// Prompts, guardrails and live warnings for the level a verb is being used to target
+function levelGuideHtml(verbObj, targetLevelId) {
+  const lvl = getLevelMetaById(targetLevelId);
+  if (!lvl) return "";
+
+  const options = [...APP.bloomLevels]
+    .sort((a, b) => a.order - b.order)
+    .map((l) => `<option value="${escapeHtml(l.id)}" ${l.id === lvl.id ? "selected" : ""}>${escapeHtml(l.name)}</option>`)
+    .join("");
+
+  const alerts = [];
+  const conflict = guardrailConflict(verbObj, lvl.id);
+  if (conflict) alerts.push(`<div class="alert alert-danger small py-1 px-2 mb-2">⚠ ${escapeHtml(conflict)}</div>`);
+  if (!(verbObj.levelIds || []).includes(lvl.id)) {
+    alerts.push(
+      `<div class="alert alert-warning small py-1 px-2 mb-2">“${escapeHtml(verbObj.verb)}” is not mapped to ${escapeHtml(lvl.name)} in this dataset${
+        verbObj.levels.length ? `; it sits at ${escapeHtml(verbObj.levels.join(", "))}` : ""
+      }.</div>`
+    );
+  }
+  verbGuardrailWarnings(verbObj)
+    .filter((w) => w.level.id !== lvl.id)
+    .forEach((w) => alerts.push(`<div class="small text-muted mb-1">${escapeHtml(w.message)}</div>`));
+
+  const prompts = (lvl.prompts || [])
+    .map((p) => {
+      const entry = getVerbMatchesByText(p).find((v) => (v.levelIds || []).includes(lvl.id)) || getVerbMatchesByText(p)[0];
+      return entry
+        ? `<button class="btn btn-sm btn-outline-secondary me-1 mb-1 prompt-verb" data-verb-id="${escapeHtml(entry.id)}" data-level-id="${escapeHtml(lvl.id)}">${escapeHtml(p)}</button>`
+        : `<span class="badge bg-light text-dark me-1 mb-1">${escapeHtml(p)}</span>`;
+    })
+    .join("");
+  const avoid = lvl.guardrails?.avoidIfYouMean || [];
+  const pitfalls = levelPitfalls(lvl.id);
 
-  // Prefer stemsByLevel for the clicked level, then primaryLevelId, then first available stems bucket
+  return `
+    <div class="card mb-3">
+      <div class="card-header d-flex justify-content-between align-items-center gap-2">
+        <span>Writing at <span class="badge" style="background:${lvl.color}; color:#fff">${escapeHtml(lvl.name)}</span></span>
+        <select class="form-select form-select-sm w-auto level-guide-target" title="Level you are targeting">${options}</select>
+      </div>
+      <div class="card-body">
+        ${alerts.join("")}
+        ${prompts ? `<div class="small fw-semibold mb-1">Prompt verbs</div><div class="mb-2">${prompts}</div>` : ""}
+        ${avoid.length ? `<div class="small mb-1"><strong>Avoid if you mean ${escapeHtml(lvl.name)}:</strong> ${avoid.map(escapeHtml).join(", ")}</div>` : ""}
+        ${pitfalls.length ? `<ul class="small text-muted mb-0 ps-3">${pitfalls.map((p) => `<li>${escapeHtml(p)}</li>`).join("")}</ul>` : ""}
+      </div>
+    </div>
+  `;
+}
+
+// Re-renders in place so changing the target level gives immediate feedback
+function renderLevelGuide(verbObj, targetLevelId) {
+  const area = $("#levelGuideArea");
+  area.html(levelGuideHtml(verbObj, targetLevelId));
+  area.find(".level-guide-target").on("change", function () {
+    renderLevelGuide(verbObj, String($(this).val() || ""));
+  });
+  area.find(".prompt-verb").on("click", function () {
+    selectVerbById(String($(this).data("verb-id")), { switchToLO: false, selectedLevelId: String($(this).data("level-id") || "") || null });
+  });
+}
+
+// -------------------- Verb detail renderer --------------------
+// Prefer stemsByLevel for the clicked level, then primaryLevelId, then first available stems bucket,
+// then the flat learningOutcomeStems list (treated as primary-level stems)
+function verbStemsForLevel(verbObj, selectedLevelId = null) {
   let stems = [];
+  let stemsLevelId = selectedLevelId || verbObj.primaryLevelId || null;
   if (verbObj.stemsByLevel && selectedLevelId && verbObj.stemsByLevel[selectedLevelId]) {
     stems = verbObj.stemsByLevel[selectedLevelId];
   } else if (verbObj.stemsByLevel && verbObj.primaryLevelId && verbObj.stemsByLevel[verbObj.primaryLevelId]) {
     stems = verbObj.stemsByLevel[verbObj.primaryLevelId];
+    stemsLevelId = verbObj.primaryLevelId;
   } else if (verbObj.stemsByLevel && typeof verbObj.stemsByLevel === "object") {
     const firstKey = Object.keys(verbObj.stemsByLevel)[0];
-    if (firstKey && Array.isArray(verbObj.stemsByLevel[firstKey])) stems = verbObj.stemsByLevel[firstKey];
+    if (firstKey && Array.isArray(verbObj.stemsByLevel[firstKey])) {
+      stems = verbObj.stemsByLevel[firstKey];
+      stemsLevelId = firstKey;
+    }
+  }
+  if (!stems.length && (verbObj.learningOutcomeStems || []).length) {
+    stems = verbObj.learningOutcomeStems;
+    stemsLevelId = verbObj.primaryLevelId || null;
+  }
+
+  return { stems, stemsLevelId };
+}
+
+// Same fallback order as stems: the clicked level, then primaryLevelId, then the flat taskIdeas list
+function verbTaskIdeasForLevel(verbObj, selectedLevelId = null) {
+  const byLevel = verbObj.taskIdeasByLevel || {};
+  for (const id of [selectedLevelId, verbObj.primaryLevelId]) {
+    if (id && Array.isArray(byLevel[id]) && byLevel[id].length) return { taskIdeas: byLevel[id], taskLevelId: id };
   }
+  return { taskIdeas: verbObj.taskIdeas || [], taskLevelId: null };
+}
+
+function evidenceWords(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter((w) => w.length > 3)
+      .map(normaliseSpelling)
+  );
+}
 
-  // Prefer levelGuidance for the clicked level, then primaryLevelId, then any
+// Formats this verb maps to at medium or better, ranked by how much of the task's wording
+// (title, description, evidence) overlaps the format's typical evidence, then by suitability.
+function taskIdeaFormats(verbObj, task) {
+  const taskWords = evidenceWords([task.title, task.description, ...(task.evidenceProduced || [])].join(" "));
+  return (verbObj.formatMappings || [])
+    .filter((m) => suitabilityRank(m.suitability) <= SUITABILITY_RANK.medium)
+    .map((m) => {
+      const fmt = APP.assessmentFormats.find((f) => f.id === m.assessmentFormatId);
+      const matches = [...evidenceWords([fmt?.name, ...(fmt?.typicalEvidence || [])].join(" "))].filter((w) => taskWords.has(w));
+      return { format: fmt, suitability: m.suitability, matches };
+    })
+    .filter((x) => x.format)
+    .sort((a, b) => b.matches.length - a.matches.length || suitabilityRank(a.suitability) - suitabilityRank(b.suitability));
+}
+
+// Prefer levelGuidance for the clicked level, then primaryLevelId, then any
+function verbGuidanceForLevel(verbObj, selectedLevelId = null) {
   let guidance = "";
   if (verbObj.levelGuidance && selectedLevelId && verbObj.levelGuidance[selectedLevelId]) {
     guidance = verbObj.levelGuidance[selectedLevelId];
@@ -414,6 +1897,38 @@ function renderVerbDetails(verbObj, { selectedLevelId = null } = {}) {
     const firstKey = Object.keys(verbObj.levelGuidance)[0];
     if (firstKey && typeof verbObj.levelGuidance[firstKey] === "string") guidance = verbObj.levelGuidance[firstKey];
   }
+  return guidance;
+}
+
+// Levels and examples a legacy file gives for a verb the dataset already has (kept apart from the curated entry)
+function legacyNoteHtml(verbObj) {
+  const legacy = verbObj.legacy;
+  if (!legacy || (!legacy.levelIds.length && !legacy.taskIdeas.length)) return "";
+  const sources = legacy.sources.map((url) => `<code>${escapeHtml(url)}</code>`).join(", ");
+  const levels = legacy.levelIds.map((id) => escapeHtml(getLevelMetaById(id)?.name || id)).join(", ");
+  return `
+    <details class="alert alert-secondary small py-2">
+      <summary>Legacy notes from ${sources}</summary>
+      ${levels ? `<div class="mt-1">Also listed at: ${levels}.</div>` : ""}
+      ${
+        legacy.taskIdeas.length
+          ? `<div class="mt-1">Assessment examples:</div>
+            <ul class="mb-0 ps-3">${legacy.taskIdeas.map((t) => `<li>${escapeHtml(t.title)}</li>`).join("")}</ul>`
+          : ""
+      }
+    </details>
+  `;
+}
+
+function renderVerbDetails(verbObj, { selectedLevelId = null } = {}) {
+  if (!verbObj) return;
+  setViewState({ verb: verbObj.id, level: selectedLevelId || "" });
+
+  const levelNames = [...(verbObj.levels || [])].sort((a, b) => byBloomOrder(a) - byBloomOrder(b));
+  const formatsSimple = formatNamesFromIds(verbObj.assessmentFormatIds || []);
+
+  const { stems, stemsLevelId } = verbStemsForLevel(verbObj, selectedLevelId);
+  const guidance = verbGuidanceForLevel(verbObj, selectedLevelId);
 
   const guidanceHtml = guidance
     ? `<div class="alert alert-secondary small mb-3"><strong>Level guidance:</strong> ${escapeHtml(guidance)}</div>`
@@ -450,32 +1965,60 @@ function renderVerbDetails(verbObj, { selectedLevelId = null } = {}) {
           <div class="card-header">Example LO stems</div>
           <div class="card-body">
             <ul class="list-group list-group-flush">
-              ${stems.map((s) => `<li class="list-group-item">${escapeHtml(s)}</li>`).join("")}
+              ${stems
+                .map(
+                  (s, i) => `
+                <li class="list-group-item d-flex justify-content-between align-items-start gap-2">
+                  <span>${escapeHtml(s)}</span>
+                  <button class="btn btn-sm btn-outline-primary compose-stem flex-shrink-0" data-stem-index="${i}"
+                    title="Fill in this stem and add it to the module learning outcomes">Compose</button>
+                </li>`
+                )
+                .join("")}
             </ul>
+            <div id="loComposerArea"></div>
           </div>
         </div>`
       : `<div class="card mb-3">
           <div class="card-header">Example LO stems</div>
           <div class="card-body text-muted">
             No stems added yet for this level. (This is where enrichment will have the most impact.)
+            <a href="#" class="edit-entry d-block small mt-1" data-kind="verb" data-id="${escapeHtml(verbObj.id)}">Add stems in the editor</a>
           </div>
         </div>`;
 
+  const { taskIdeas, taskLevelId } = verbTaskIdeasForLevel(verbObj, selectedLevelId);
+  const taskLevel = getLevelMetaById(taskLevelId);
   const tasksHtml =
-    (verbObj.taskIdeas || []).length
+    taskIdeas.length
       ? `<div class="card mb-3">
-          <div class="card-header">Task ideas</div>
+          <div class="card-header d-flex justify-content-between align-items-center">
+            <span>Task ideas</span>
+            ${taskLevel ? `<span class="badge" style="background:${taskLevel.color}; color:#fff">${escapeHtml(taskLevel.name)}</span>` : ""}
+          </div>
           <div class="card-body">
             <ul class="list-group list-group-flush">
-              ${verbObj.taskIdeas
-                .map((t) => {
+              ${taskIdeas
+                .map((t, i) => {
                   const title = t.title ? `<strong>${escapeHtml(t.title)}</strong>` : "";
                   const desc = t.description ? `<div class="text-muted">${escapeHtml(t.description)}</div>` : "";
                   const ev =
                     Array.isArray(t.evidenceProduced) && t.evidenceProduced.length
                       ? `<div class="small mt-2"><em>Evidence:</em> ${t.evidenceProduced.map(escapeHtml).join(", ")}</div>`
                       : "";
-                  return `<li class="list-group-item">${title}${desc}${ev}</li>`;
+                  const formats = taskIdeaFormats(verbObj, t);
+                  const jump = formats.length
+                    ? `<div class="small mt-2"><em>Suits:</em> ${formats
+                        .slice(0, 3)
+                        .map((x) => {
+                          const style = SUITABILITY_STYLES[x.suitability] || SUITABILITY_STYLES.unmapped;
+                          return `<button class="btn btn-sm btn-outline-secondary py-0 me-1 task-format" data-format-id="${escapeHtml(x.format.id)}"
+                            title="${escapeHtml(`${x.suitability} for ${verbObj.verb}${x.matches.length ? `; matches evidence: ${x.matches.join(", ")}` : ""}`)}">
+                            <span class="badge me-1" style="background:${style.bg}; color:${style.fg}">&nbsp;</span>${escapeHtml(x.format.name)}</button>`;
+                        })
+                        .join("")}</div>`
+                    : "";
+                  return `<li class="list-group-item" data-task-index="${i}">${title}${desc}${ev}${jump}</li>`;
                 })
                 .join("")}
             </ul>
@@ -487,10 +2030,7 @@ function renderVerbDetails(verbObj, { selectedLevelId = null } = {}) {
     (verbObj.formatMappings || []).length
       ? verbObj.formatMappings
           .slice()
-          .sort((a, b) => {
-            const rank = { high: 0, "context-dependent": 1, medium: 2, low: 3 };
-            return (rank[a.suitability] ?? 9) - (rank[b.suitability] ?? 9);
-          })
+          .sort((a, b) => suitabilityRank(a.suitability) - suitabilityRank(b.suitability))
           .map((m) => {
             const notes = (m.designNotes || []).length
               ? `<ul class="mb-0">${m.designNotes.map((n) => `<li>${escapeHtml(n)}</li>`).join("")}</ul>`
@@ -543,17 +2083,44 @@ function renderVerbDetails(verbObj, { selectedLevelId = null } = {}) {
         </div>`;
 
   $("#resultsArea").html(`
+    <div data-verb-view="${escapeHtml(verbObj.id)}" data-level-id="${escapeHtml(selectedLevelId || "")}">
     <div class="text-center mb-3">
-      <h2 class="h4 mb-2">${escapeHtml(verbObj.verb)}</h2>
+      <h2 class="h4 mb-2">${escapeHtml(verbObj.verb)}${overlayBadge(verbObj)}</h2>
+      ${
+        verbObj.overlay
+          ? `<div class="small text-muted mb-2">From overlay “${escapeHtml(verbObj.overlay)}”${
+              verbObj.overrides ? `, overriding the entry in ${escapeHtml(verbObj.overrides)}` : ""
+            }.</div>`
+          : ""
+      }
       ${strengthHtml}
-      <div>${renderLevelPills(levelNames)}</div>
+      <div>${renderLevelPills(levelNames, selectedLevelId || verbObj.primaryLevelId)}</div>
+    </div>
+
+    <div class="d-flex justify-content-end gap-2 align-items-center mb-2">
+      <button class="btn btn-sm btn-outline-primary me-auto compare-verb-start" title="Compare this entry with its synonyms and other verbs">Compare…</button>
+      <button class="btn btn-sm btn-outline-primary ai-review-verb" title="Rate this verb's AI exposure across its formats">AI risk</button>
+      <span class="small text-muted">Export</span>
+      ${exportButtonsHtml("export-verb")}
     </div>
 
+    ${qfVerbNoteHtml(verbObj, selectedLevelId)}
+
+    ${
+      verbObj.migratedFrom
+        ? `<div class="alert alert-secondary small py-2">Imported from the legacy file <code>${escapeHtml(verbObj.migratedFrom)}</code>${
+            !stems.length && !(verbObj.formatMappings || []).length ? ": Bloom levels and task ideas only, no stems or format mappings yet" : ""
+          }.</div>`
+        : ""
+    }
+    ${legacyNoteHtml(verbObj)}
+
     <div class="row g-3">
       <div class="col-12 col-lg-6">
         ${formatsHtml}
       </div>
       <div class="col-12 col-lg-6">
+        <div id="levelGuideArea"></div>
         ${guidanceHtml}
         ${meaningHtml}
         ${synonymsHtml}
@@ -561,70 +2128,735 @@ function renderVerbDetails(verbObj, { selectedLevelId = null } = {}) {
         ${tasksHtml}
       </div>
     </div>
+    </div>
   `);
-}
 
-// -------------------- Assessment-first view --------------------
-function renderVerbsForAssessment(formatId) {
-  clearResults();
+  $(".export-verb").on("click", function () {
+    exportDoc(verbExportDoc(verbObj, selectedLevelId), String($(this).data("export-format")));
+  });
 
-  if (!formatId) {
-    showInfo("Choose an assessment format to see verb entries grouped by Bloom level.");
-    return;
-  }
+  $(".compare-verb-start").on("click", () => renderVerbComparison(verbCompareSeed(verbObj)));
+  $(".ai-review-verb").on("click", () => renderVerbAiReview(verbObj));
 
-  const matching = APP.verbs.filter((v) => (v.assessmentFormatIds || []).includes(formatId));
+  renderLevelGuide(verbObj, selectedLevelId || verbObj.primaryLevelId);
 
-  if (!matching.length) {
-    showInfo("No verbs mapped to that assessment format yet.");
-    return;
-  }
+  $(".level-pill").on("click", function () {
+    renderVerbDetails(verbObj, { selectedLevelId: String($(this).data("level-id")) });
+  });
 
-  // Group by levelId using expanded v.levelIds
-  const groupsByLevelId = new Map();
-  for (const lvl of APP.bloomLevels) groupsByLevelId.set(lvl.id, []);
+  $(".task-format").on("click", function () {
+    const formatId = String($(this).data("format-id"));
+    setMode("assessment");
+    $("#assessmentSelect").val(formatId);
+    renderVerbsForAssessment(formatId);
+  });
 
-  for (const v of matching) {
-    const ids = new Set((v.levelIds || []).filter(Boolean));
-    for (const lvlId of ids) {
-      if (!groupsByLevelId.has(lvlId)) groupsByLevelId.set(lvlId, []);
-      groupsByLevelId.get(lvlId).push(v);
-    }
-  }
+  $(".compose-stem").on("click", function () {
+    const idx = Number($(this).data("stem-index"));
+    renderLoComposer(verbObj, stemsLevelId, stems[idx]);
+  });
+}
 
-  for (const [lvlId, arr] of groupsByLevelId.entries()) {
-    arr.sort((a, b) => (a.verb || "").localeCompare(b.verb || ""));
-  }
+// -------------------- Verb comparison --------------------
+const VERB_COMPARE_MAX = 4;
 
-  const accordionId = "verbsAccordion";
+// Seed with the entry itself plus any synonyms that have their own entries
+function verbCompareSeed(verbObj) {
+  const ids = [verbObj.id];
+  (verbObj.synonyms || []).forEach((s) => {
+    getVerbMatchesByText(s).forEach((m) => {
+      if (!ids.includes(m.id)) ids.push(m.id);
+    });
+  });
+  return ids.slice(0, VERB_COMPARE_MAX);
+}
 
-  const items = [...APP.bloomLevels]
-    .sort((a, b) => a.order - b.order)
-    .map((lvl, idx) => {
-      const verbsHere = groupsByLevelId.get(lvl.id) || [];
-      if (!verbsHere.length) return "";
+function renderVerbComparison(verbIds = []) {
+  const verbs = verbIds.map(getVerbById).filter(Boolean).slice(0, VERB_COMPARE_MAX);
+  const ids = verbs.map((v) => v.id);
 
-      const pills = verbsHere
-        .map(
-          (v) => `
-          <button class="btn btn-sm btn-outline-secondary me-2 mb-2 verb-pill"
-            data-verb-id="${escapeHtml(v.id)}"
-            data-level-id="${escapeHtml(lvl.id)}"
-            title="${escapeHtml(v.meaning?.short || "Click for details")}"
-          >
-            ${escapeHtml(v.verb)}
-          </button>
-        `
-        )
-        .join("");
+  const addOptions = APP.verbs
+    .filter((v) => !ids.includes(v.id))
+    .slice()
+    .sort((a, b) => a.verb.localeCompare(b.verb) || byBloomOrder(a.levels?.[0] || "") - byBloomOrder(b.levels?.[0] || ""))
+    .map((v) => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.verb)} — ${escapeHtml(v.levels.join(", ") || "no level")}</option>`)
+    .join("");
 
-      return `
-        <div class="accordion-item">
+  const addControl =
+    verbs.length < VERB_COMPARE_MAX
+      ? `<div class="input-group input-group-sm mb-3" style="max-width: 28rem">
+          <select id="verbCompareAdd" class="form-select"><option value="">Add a verb entry…</option>${addOptions}</select>
+        </div>`
+      : `<div class="small text-muted mb-3">Up to ${VERB_COMPARE_MAX} entries can be compared; remove one to add another.</div>`;
+
+  let table = `<div class="alert alert-info mb-0">${
+    verbs.length === 1
+      ? `Add another verb entry to compare with “${escapeHtml(verbs[0].verb)}”.`
+      : "Add two or more verb entries to compare them."
+  }</div>`;
+
+  if (verbs.length >= 2) {
+    const row = (label, cells) => `<tr><th class="small text-nowrap">${escapeHtml(label)}</th>${cells.map((c) => `<td class="small">${c}</td>`).join("")}</tr>`;
+    const none = `<span class="text-muted">—</span>`;
+    const list = (items) => (items.length ? `<ul class="mb-0 ps-3">${items.map((x) => `<li>${escapeHtml(x)}</li>`).join("")}</ul>` : none);
+
+    const head = verbs
+      .map(
+        (v) => `
+        <th>
+          <div class="d-flex justify-content-between align-items-start gap-2">
+            <a href="#" class="compare-verb-open" data-verb-id="${escapeHtml(v.id)}">${escapeHtml(v.verb)}</a>${overlayBadge(v)}
+            <button class="btn btn-sm btn-link text-danger p-0 compare-verb-remove" data-verb-id="${escapeHtml(v.id)}" title="Remove from comparison">×</button>
+          </div>
+        </th>`
+      )
+      .join("");
+
+    const meaningCells = verbs.map((v) =>
+      v.meaning?.short || v.meaning?.expanded
+        ? `${v.meaning.short ? `<strong>${escapeHtml(v.meaning.short)}</strong>` : ""}${
+            v.meaning.expanded ? `<div class="text-muted">${escapeHtml(v.meaning.expanded)}</div>` : ""
+          }`
+        : typeof v.meaning === "string"
+          ? escapeHtml(v.meaning)
+          : none
+    );
+
+    const levelCells = verbs.map((v) =>
+      [...APP.bloomLevels]
+        .sort((a, b) => a.order - b.order)
+        .map((lvl) => {
+          const on = (v.levelIds || []).includes(lvl.id);
+          const primary = v.primaryLevelId === lvl.id;
+          return `<span class="badge me-1 mb-1" style="background:${on ? lvl.color : "#C0C0C0"}; color:#fff${primary ? "; outline: 2px solid #000" : ""}"
+            title="${primary ? "Primary level" : on ? "Also fits" : "Not a level for this entry"}">${escapeHtml(lvl.name)}</span>`;
+        })
+        .join("")
+    );
+
+    const guidanceCells = verbs.map((v) => {
+      const g = verbGuidanceForLevel(v);
+      return g ? escapeHtml(g) : none;
+    });
+
+    const stemCells = verbs.map((v) => list(verbStemsForLevel(v).stems.slice(0, 3)));
+
+    const guardrailCells = verbs.map((v) => {
+      const warnings = verbGuardrailWarnings(v).map((w) => `<div class="text-danger mb-1">⚠ ${escapeHtml(w.message)}</div>`);
+      const pitfalls = levelPitfalls(v.primaryLevelId).map((p) => `<div class="text-muted mb-1">Pitfall: ${escapeHtml(p)}</div>`);
+      return warnings.length || pitfalls.length ? warnings.join("") + pitfalls.join("") : none;
+    });
+
+    const formatRows = APP.assessmentFormats
+      .filter((f) => verbs.some((v) => getSuitability(v, f.id)))
+      .map((f) => {
+        const cells = verbs.map((v) => {
+          const s = getSuitability(v, f.id) || "unmapped";
+          const style = SUITABILITY_STYLES[s] || SUITABILITY_STYLES.unmapped;
+          return `<span class="badge" style="background:${style.bg}; color:${style.fg}">${escapeHtml(style.label)}</span>`;
+        });
+        return row(f.name, cells);
+      })
+      .join("");
+
+    table = `
+      <div class="table-responsive">
+        <table class="table table-sm table-bordered align-top">
+          <thead><tr><th></th>${head}</tr></thead>
+          <tbody>
+            ${row("Meaning", meaningCells)}
+            ${row("Bloom levels", levelCells)}
+            ${row("Diagnostic strength", verbs.map((v) => (v.diagnosticStrength ? escapeHtml(v.diagnosticStrength) : none)))}
+            ${row("Level guidance", guidanceCells)}
+            ${row("Example stems", stemCells)}
+            ${row("Guardrails", guardrailCells)}
+            <tr><th colspan="${verbs.length + 1}" class="small table-light">Format suitability</th></tr>
+            ${formatRows || `<tr><td colspan="${verbs.length + 1}" class="small text-muted">No format mappings for these entries yet.</td></tr>`}
+          </tbody>
+        </table>
+      </div>
+      <div class="text-muted small">${escapeHtml(APP.disclaimer || "")}</div>
+    `;
+  }
+
+  $("#resultsArea").html(`
+    <div class="card mb-3" data-verb-compare="${escapeHtml(ids.join(","))}">
+      <div class="card-header">Compare verb entries</div>
+      <div class="card-body">
+        ${addControl}
+        ${table}
+      </div>
+    </div>
+  `);
+
+  $("#verbCompareAdd").on("change", function () {
+    const id = String($(this).val() || "");
+    if (id) renderVerbComparison([...ids, id]);
+  });
+  $(".compare-verb-remove").on("click", function () {
+    const id = String($(this).data("verb-id"));
+    renderVerbComparison(ids.filter((x) => x !== id));
+  });
+  $(".compare-verb-open").on("click", function (e) {
+    e.preventDefault();
+    selectVerbById(String($(this).data("verb-id")), { switchToLO: false });
+  });
+}
+
+// -------------------- LO composer --------------------
+// Stems mark the parts the author must supply as {placeholders}; each one becomes an input.
+function parseStemSlots(stem) {
+  const parts = [];
+  const re = /\{([^{}]+)\}/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(String(stem || ""))) !== null) {
+    if (m.index > last) parts.push({ type: "text", value: stem.slice(last, m.index) });
+    parts.push({ type: "slot", label: m[1].trim() });
+    last = re.lastIndex;
+  }
+  if (last < String(stem || "").length) parts.push({ type: "text", value: stem.slice(last) });
+  return parts;
+}
+
+function composeStem(parts, values) {
+  let slotIdx = 0;
+  return parts
+    .map((p) => {
+      if (p.type === "text") return p.value;
+      const val = (values[slotIdx++] || "").trim();
+      return val || `{${p.label}}`;
+    })
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function renderLoComposer(verbObj, levelId, stem) {
+  const target = $("#loComposerArea");
+  if (!target.length || !stem) return;
+
+  const parts = parseStemSlots(stem);
+  const slots = parts.filter((p) => p.type === "slot");
+  const levelMeta = getLevelMetaById(levelId);
+
+  const fields = slots.length
+    ? slots
+        .map(
+          (p, i) => `
+        <div class="mb-2">
+          <label class="form-label small mb-1" for="loSlot-${i}">${escapeHtml(p.label)}</label>
+          <input type="text" class="form-control form-control-sm lo-slot" id="loSlot-${i}" data-slot-index="${i}"
+            placeholder="${escapeHtml(p.label)}" />
+        </div>
+      `
+        )
+        .join("")
+    : `<div class="text-muted small mb-2">This stem has no {placeholders}; edit the wording below if needed.</div>`;
+
+  target.html(`
+    <div class="border rounded p-3 mt-3">
+      <div class="d-flex justify-content-between align-items-center mb-2">
+        <strong>Compose learning outcome</strong>
+        ${levelMeta ? `<span class="badge" style="background:${levelMeta.color}; color:#fff">${escapeHtml(levelMeta.name)}</span>` : ""}
+      </div>
+      ${fields}
+      <label class="form-label small mb-1" for="loPreview">Preview</label>
+      <textarea id="loPreview" class="form-control form-control-sm mb-2" rows="2"></textarea>
+      <div class="d-flex gap-2 align-items-center">
+        <button id="loAddBtn" class="btn btn-sm btn-primary">Add to module LOs</button>
+        <button id="loCancelBtn" class="btn btn-sm btn-outline-secondary">Cancel</button>
+        <span id="loComposerHint" class="small text-muted"></span>
+      </div>
+    </div>
+  `);
+
+  // The preview follows the slot inputs until the user edits it directly.
+  let previewEdited = false;
+  const values = () => target.find(".lo-slot").map((_, el) => $(el).val()).get();
+  const updatePreview = () => {
+    if (!previewEdited) $("#loPreview").val(composeStem(parts, values()));
+    const missing = values().filter((v) => !v.trim()).length;
+    $("#loComposerHint").text(missing ? `${missing} placeholder(s) still to fill.` : "");
+  };
+
+  target.find(".lo-slot").on("input", updatePreview);
+  $("#loPreview").on("input", () => {
+    previewEdited = true;
+  });
+  $("#loCancelBtn").on("click", () => target.empty());
+  $("#loAddBtn").on("click", () => {
+    const text = String($("#loPreview").val() || "").trim();
+    if (!text) return;
+    if (/\{[^{}]+\}/.test(text)) {
+      $("#loComposerHint").text("Fill every {placeholder} before adding the outcome.");
+      return;
+    }
+    addModuleLo({ text, verbId: verbObj.id, levelId });
+    target.empty();
+  });
+
+  updatePreview();
+  target.find(".lo-slot").first().trigger("focus");
+}
+
+// -------------------- Module workspace (persisted) --------------------
+// Modules live in localStorage so several can be kept between visits:
+// { activeModuleId, modules: [{ id, name, frameworkId, nfqLevel, outcomes: [{ id, text, verbId, levelId }], assessmentFormatIds }] }
+// nfqLevel keeps its original name for saved data; it holds the level id within frameworkId.
+const MODULES_STORAGE_KEY = "bloomsModules";
+let MODULE_STORE = { activeModuleId: null, modules: [] };
+
+function newId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function loadModuleStore() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(MODULES_STORAGE_KEY) || "null");
+    if (parsed && Array.isArray(parsed.modules)) {
+      MODULE_STORE = {
+        activeModuleId: parsed.activeModuleId || null,
+        modules: parsed.modules.map((m) => ({
+          id: m.id || newId("mod"),
+          name: m.name || "Untitled module",
+          frameworkId: m.frameworkId || "nfq",
+          nfqLevel: m.nfqLevel || "",
+          outcomes: Array.isArray(m.outcomes) ? m.outcomes : [],
+          assessmentFormatIds: Array.isArray(m.assessmentFormatIds) ? m.assessmentFormatIds : [],
+        })),
+      };
+    }
+  } catch (e) {
+    console.warn("Saved modules could not be read; starting with an empty workspace.", e);
+  }
+  if (!MODULE_STORE.modules.some((m) => m.id === MODULE_STORE.activeModuleId)) {
+    MODULE_STORE.activeModuleId = MODULE_STORE.modules[0]?.id || null;
+  }
+}
+
+function saveModuleStore() {
+  try {
+    localStorage.setItem(MODULES_STORAGE_KEY, JSON.stringify(MODULE_STORE));
+    $("#moduleSaveWarning").addClass("d-none");
+    return true;
+  } catch (err) {
+    console.error(err);
+    $("#moduleSaveWarning")
+      .text("Modules could not be saved in this browser (storage full or blocked). Changes apply until the page is reloaded; export the module to keep a copy.")
+      .removeClass("d-none");
+    return false;
+  }
+}
+
+function getActiveModule() {
+  return MODULE_STORE.modules.find((m) => m.id === MODULE_STORE.activeModuleId) || null;
+}
+
+function createModule(name) {
+  const mod = {
+    id: newId("mod"),
+    name: name || "Untitled module",
+    frameworkId: currentFrameworkId(),
+    nfqLevel: $("#nfqSelect").val() || "",
+    outcomes: [],
+    assessmentFormatIds: [],
+  };
+  MODULE_STORE.modules.push(mod);
+  MODULE_STORE.activeModuleId = mod.id;
+  saveModuleStore();
+  return mod;
+}
+
+function setActiveModule(moduleId) {
+  MODULE_STORE.activeModuleId = moduleId;
+  saveModuleStore();
+  const mod = getActiveModule();
+  if (mod) applyModuleQualification(mod);
+  refreshQfViews();
+}
+
+function addModuleLo({ text, verbId, levelId }) {
+  const mod = getActiveModule() || createModule();
+  mod.outcomes.push({ id: newId("lo"), text, verbId, levelId });
+  saveModuleStore();
+  renderModuleWorkspace();
+}
+
+function updateModuleLo(loId, changes) {
+  const mod = getActiveModule();
+  const lo = mod?.outcomes.find((o) => o.id === loId);
+  if (!lo) return;
+  Object.assign(lo, changes);
+  saveModuleStore();
+  renderModuleWorkspace();
+}
+
+function moveModuleLo(loId, delta) {
+  const mod = getActiveModule();
+  if (!mod) return;
+  const idx = mod.outcomes.findIndex((o) => o.id === loId);
+  const to = idx + delta;
+  if (idx < 0 || to < 0 || to >= mod.outcomes.length) return;
+  const [lo] = mod.outcomes.splice(idx, 1);
+  mod.outcomes.splice(to, 0, lo);
+  saveModuleStore();
+  renderModuleWorkspace();
+}
+
+function deleteModuleLo(loId) {
+  const mod = getActiveModule();
+  if (!mod) return;
+  mod.outcomes = mod.outcomes.filter((o) => o.id !== loId);
+  saveModuleStore();
+  renderModuleWorkspace();
+}
+
+function renderModuleWorkspace() {
+  const target = $("#moduleLoList");
+  if (!target.length) return;
+
+  const mod = getActiveModule();
+
+  const moduleSelect = $("#moduleSelect");
+  moduleSelect.empty();
+  if (!MODULE_STORE.modules.length) moduleSelect.append(`<option value="">No modules yet</option>`);
+  for (const m of MODULE_STORE.modules) {
+    moduleSelect.append(`<option value="${escapeHtml(m.id)}">${escapeHtml(m.name)}</option>`);
+  }
+  moduleSelect.val(mod?.id || "");
+  $("#renameModuleBtn, #deleteModuleBtn").prop("disabled", !mod);
+  $("#alignmentBtn, #exportModuleBtn, #reportModuleBtn, #dashboardModuleBtn, #aiReviewModuleBtn").prop("disabled", !mod?.outcomes.length);
+
+  const outcomes = mod?.outcomes || [];
+  $("#moduleLoCount").text(outcomes.length);
+
+  if (!mod) {
+    target.html(`<div class="text-muted small">Create a module, or use "Compose" on an LO stem to start one.</div>`);
+    return;
+  }
+
+  const qualLabel = escapeHtml(frameworkLevelLabel(mod.frameworkId, mod.nfqLevel));
+  const header = `<div class="small text-muted mb-2">${escapeHtml(mod.name)} · ${qualLabel}</div>`;
+
+  if (!outcomes.length) {
+    target.html(`${header}<div class="text-muted small">No outcomes yet. Use "Compose" on an LO stem to add one.</div>`);
+    return;
+  }
+
+  const balance = renderModuleBalance(mod);
+
+  const rows = outcomes
+    .map((lo, i) => {
+      const v = getVerbById(lo.verbId);
+      const lvl = getLevelMetaById(lo.levelId);
+      // Offer levels from the taxonomy the outcome was written in, whichever taxonomy is on screen
+      const loTaxonomyId = lvl?.taxonomyId || APP.activeTaxonomyId;
+      const levelOptions = (v?.taxonomyLevels[loTaxonomyId]?.levelIds || [lo.levelId])
+        .filter(Boolean)
+        .sort((a, b) => (getLevelMetaById(a)?.order ?? 999) - (getLevelMetaById(b)?.order ?? 999))
+        .map((id) => {
+          const meta = getLevelMetaById(id);
+          return `<option value="${escapeHtml(id)}" ${id === lo.levelId ? "selected" : ""}>${escapeHtml(meta?.name || id)}</option>`;
+        })
+        .join("");
+      return `
+      <li class="list-group-item" data-lo-id="${escapeHtml(lo.id)}">
+        <div class="d-flex justify-content-between align-items-start gap-2">
+          <div class="flex-grow-1">
+            <span class="fw-semibold me-1">LO${i + 1}.</span><span class="lo-text">${escapeHtml(lo.text)}</span>
+            <div class="small text-muted mt-1 d-flex align-items-center gap-2">
+              ${lvl ? `<span class="badge" style="background:${lvl.color}; color:#fff">${escapeHtml(lvl.name)}</span>` : ""}
+              ${v ? `<button class="btn btn-link btn-sm p-0 open-lo-verb">${escapeHtml(v.verb)}</button>` : ""}
+              <select class="form-select form-select-sm w-auto lo-level" title="Bloom level for this outcome">${levelOptions}</select>
+            </div>
+          </div>
+          <div class="btn-group btn-group-sm flex-shrink-0">
+            <button class="btn btn-outline-secondary move-lo" data-delta="-1" title="Move up" ${i === 0 ? "disabled" : ""}>↑</button>
+            <button class="btn btn-outline-secondary move-lo" data-delta="1" title="Move down" ${i === outcomes.length - 1 ? "disabled" : ""}>↓</button>
+            <button class="btn btn-outline-secondary edit-lo" title="Edit wording">Edit</button>
+            <button class="btn btn-outline-secondary remove-lo" title="Delete">✕</button>
+          </div>
+        </div>
+      </li>
+    `;
+    })
+    .join("");
+
+  target.html(`${header}${balance}<ol class="list-group list-group-flush">${rows}</ol>`);
+
+  const loIdOf = (el) => String($(el).closest("[data-lo-id]").data("lo-id") || "");
+
+  target.find(".move-lo").on("click", function () {
+    moveModuleLo(loIdOf(this), Number($(this).data("delta")));
+  });
+  target.find(".remove-lo").on("click", function () {
+    deleteModuleLo(loIdOf(this));
+  });
+  target.find(".lo-level").on("change", function () {
+    updateModuleLo(loIdOf(this), { levelId: $(this).val() });
+  });
+  target.find(".open-lo-verb").on("click", function () {
+    const lo = mod.outcomes.find((o) => o.id === loIdOf(this));
+    if (lo) selectVerbById(lo.verbId, { switchToLO: true, selectedLevelId: lo.levelId || null });
+  });
+  target.find(".edit-lo").on("click", function () {
+    const item = $(this).closest("[data-lo-id]");
+    const lo = mod.outcomes.find((o) => o.id === loIdOf(this));
+    if (!lo || item.find(".lo-edit").length) return;
+    item.find(".lo-text").replaceWith(`
+      <div class="lo-edit mt-1">
+        <textarea class="form-control form-control-sm mb-1" rows="2">${escapeHtml(lo.text)}</textarea>
+        <button class="btn btn-sm btn-primary save-lo">Save</button>
+        <button class="btn btn-sm btn-outline-secondary cancel-lo">Cancel</button>
+      </div>
+    `);
+    item.find(".save-lo").on("click", () => {
+      const text = String(item.find("textarea").val() || "").trim();
+      if (text) updateModuleLo(lo.id, { text });
+    });
+    item.find(".cancel-lo").on("click", () => renderModuleWorkspace());
+  });
+}
+
+function initModuleWorkspace() {
+  loadModuleStore();
+
+  $("#moduleSelect").off("change").on("change", function () {
+    setActiveModule(String($(this).val() || ""));
+  });
+
+  $("#newModuleBtn").off("click").on("click", () => {
+    const name = prompt("Module name:", "");
+    if (name === null) return;
+    createModule(name.trim());
+    renderModuleWorkspace();
+  });
+
+  $("#alignmentBtn").off("click").on("click", () => renderAlignmentMatrix());
+  $("#exportModuleBtn").off("click").on("click", () => renderModuleExport());
+  $("#reportModuleBtn").off("click").on("click", () => renderModuleReport());
+  $("#dashboardModuleBtn").off("click").on("click", () => renderModuleDashboard());
+  $("#aiReviewModuleBtn").off("click").on("click", () => renderModuleAiReview());
+
+  $("#renameModuleBtn").off("click").on("click", () => {
+    const mod = getActiveModule();
+    if (!mod) return;
+    const name = prompt("Rename module:", mod.name);
+    if (name === null || !name.trim()) return;
+    mod.name = name.trim();
+    saveModuleStore();
+    renderModuleWorkspace();
+  });
+
+  $("#deleteModuleBtn").off("click").on("click", () => {
+    const mod = getActiveModule();
+    if (!mod || !confirm(`Delete module "${mod.name}" and its ${mod.outcomes.length} outcome(s)?`)) return;
+    MODULE_STORE.modules = MODULE_STORE.modules.filter((m) => m.id !== mod.id);
+    setActiveModule(MODULE_STORE.modules[0]?.id || null);
+  });
+
+  const mod = getActiveModule();
+  if (mod?.nfqLevel) applyModuleQualification(mod);
+  refreshQfViews();
+}
+
+// -------------------- Assessment-first view --------------------
+// Suitability as a number so mappings can be averaged per level
+const SUITABILITY_SCORE = { high: 3, "context-dependent": 2.5, medium: 2, low: 1 };
+
+function humaniseKey(key) {
+  const words = String(key).replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function tagValueText(value) {
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "boolean") return value ? "yes" : "no";
+  return String(value ?? "");
+}
+
+// Per level of the active taxonomy: how verbs at that level are rated for this format
+function formatLevelStrengths(formatId) {
+  return [...APP.bloomLevels]
+    .sort((a, b) => a.order - b.order)
+    .map((lvl) => {
+      const counts = {};
+      let total = 0;
+      let n = 0;
+      for (const v of APP.verbs) {
+        if (!(v.levelIds || []).includes(lvl.id)) continue;
+        const suit = getSuitability(v, formatId);
+        if (!suit || !(suit in SUITABILITY_SCORE)) continue;
+        counts[suit] = (counts[suit] || 0) + 1;
+        total += SUITABILITY_SCORE[suit];
+        n += 1;
+      }
+      const avg = n ? total / n : 0;
+      const verdict = !n ? "not mapped" : avg >= 2.5 ? "strong" : avg < 1.75 ? "weak" : "moderate";
+      return { level: lvl, counts, n, avg, verdict };
+    });
+}
+
+function renderFormatProfile(fmt) {
+  const loadBadge = (label, value) =>
+    `<span class="badge bg-light text-dark border me-1">${escapeHtml(label)}: ${escapeHtml(value || "—")}</span>`;
+
+  const tags = fmt.tags && typeof fmt.tags === "object" ? Object.entries(fmt.tags) : [];
+  const tagsHtml = tags.length
+    ? `<div class="small mt-2">${tags
+        .map(([k, v]) => `<span class="badge bg-light text-dark border me-1 mb-1">${escapeHtml(humaniseKey(k))}: ${escapeHtml(tagValueText(v))}</span>`)
+        .join("")}</div>`
+    : "";
+
+  const verdictClass = { strong: "text-success fw-semibold", moderate: "", weak: "text-danger", "not mapped": "text-muted" };
+  const strengthRows = formatLevelStrengths(fmt.id)
+    .map((s) => {
+      const segments = Object.keys(SUITABILITY_SCORE)
+        .filter((k) => s.counts[k])
+        .map((k) => {
+          const st = SUITABILITY_STYLES[k];
+          return `<div title="${escapeHtml(`${k}: ${s.counts[k]}`)}" style="width:${(s.counts[k] / s.n) * 100}%; background:${st.bg}"></div>`;
+        })
+        .join("");
+      return `
+        <tr>
+          <td class="text-nowrap"><span class="badge" style="background:${s.level.color}; color:#fff">${escapeHtml(s.level.name)}</span></td>
+          <td class="w-100"><div class="d-flex rounded overflow-hidden" style="height:0.8rem; background:#e9ecef">${segments}</div></td>
+          <td class="text-nowrap small text-end">${s.n} verb entr${s.n === 1 ? "y" : "ies"}</td>
+          <td class="text-nowrap small ${verdictClass[s.verdict]}">${escapeHtml(s.verdict)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const legend = Object.keys(SUITABILITY_SCORE)
+    .map((k) => `<span class="badge me-1" style="background:${SUITABILITY_STYLES[k].bg}; color:${SUITABILITY_STYLES[k].fg}">${escapeHtml(k)}</span>`)
+    .join("");
+
+  const mitigations = fmt.aiRisk?.mitigations || [];
+
+  return `
+    <div class="card mb-3" id="formatProfile">
+      <div class="card-header d-flex justify-content-between align-items-center">
+        <span class="fw-semibold">${escapeHtml(fmt.name)}${overlayBadge(fmt)}</span>
+        ${fmt.category ? `<span class="badge bg-secondary">${escapeHtml(fmt.category)}</span>` : ""}
+      </div>
+      <div class="card-body">
+        <div class="row g-3">
+          <div class="col-12 col-lg-6">
+            <div class="small fw-semibold mb-1">Evidence it produces</div>
+            ${
+              (fmt.typicalEvidence || []).length
+                ? `<ul class="small mb-2 ps-3">${fmt.typicalEvidence.map((e) => `<li>${escapeHtml(e)}</li>`).join("")}</ul>`
+                : `<div class="small text-muted mb-2">Not recorded.</div>`
+            }
+            <div class="mb-1">
+              ${loadBadge("Marking load", fmt.scalability?.markingLoad)}
+              ${loadBadge("Setup load", fmt.scalability?.setupLoad)}
+              ${loadBadge("AI risk", fmt.aiRisk?.likelihood)}
+            </div>
+            ${
+              mitigations.length
+                ? `<div class="small mt-2"><strong>AI-risk mitigations:</strong></div>
+                  <ul class="small mb-0 ps-3">${mitigations.map((m) => `<li>${escapeHtml(m)}</li>`).join("")}</ul>`
+                : ""
+            }
+            ${tagsHtml}
+          </div>
+          <div class="col-12 col-lg-6">
+            <div class="small fw-semibold mb-1">Levels it assesses (from verb mappings)</div>
+            <table class="table table-sm table-borderless align-middle mb-1">${strengthRows}</table>
+            <div class="small">${legend}</div>
+            <div class="small text-muted mt-1">
+              Strong: verbs at this level are mostly rated high or context-dependent for this format; weak: mostly low.
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function renderVerbsForAssessment(formatId) {
+  clearResults();
+  setViewState({ format: formatId || "", verb: "", level: "" });
+
+  if (!formatId) {
+    showInfo("Choose an assessment format to see verb entries grouped by Bloom level.");
+    return;
+  }
+
+  const fmt = APP.assessmentFormats.find((f) => f.id === formatId);
+  const profileHtml = fmt ? renderFormatProfile(fmt) : "";
+
+  const mapped = APP.verbs.filter((v) => (v.assessmentFormatIds || []).includes(formatId));
+  const matching = mapped.filter((v) => verbMatchesFilters(v));
+
+  if (!mapped.length || !matching.length) {
+    const message = !mapped.length
+      ? "No verbs mapped to that assessment format yet."
+      : "No verbs mapped to that assessment format match the active filters.";
+    $("#resultsArea").html(`
+      <div class="mb-3" data-assessment-view="${escapeHtml(formatId)}">
+        ${profileHtml}
+        <div class="alert alert-info">${escapeHtml(message)}</div>
+      </div>
+    `);
+    return;
+  }
+
+  // Group by levelId using expanded v.levelIds
+  const groupsByLevelId = new Map();
+  for (const lvl of APP.bloomLevels) groupsByLevelId.set(lvl.id, []);
+
+  for (const v of matching) {
+    const ids = new Set((v.levelIds || []).filter(Boolean));
+    for (const lvlId of ids) {
+      if (!groupsByLevelId.has(lvlId)) groupsByLevelId.set(lvlId, []);
+      groupsByLevelId.get(lvlId).push(v);
+    }
+  }
+
+  for (const [lvlId, arr] of groupsByLevelId.entries()) {
+    arr.sort((a, b) => (a.verb || "").localeCompare(b.verb || ""));
+  }
+
+  const accordionId = "verbsAccordion";
+
+  const items = [...APP.bloomLevels]
+    .sort((a, b) => a.order - b.order)
+    .map((lvl, idx) => {
+      const verbsHere = groupsByLevelId.get(lvl.id) || [];
+      if (!verbsHere.length) return "";
+
+      const pills = verbsHere
+        .map(
+          (v) => `
+          <button class="btn btn-sm btn-outline-secondary me-2 mb-2 verb-pill ${qfLevelClass(lvl.id)}"
+            data-verb-id="${escapeHtml(v.id)}"
+            data-level-id="${escapeHtml(lvl.id)}"
+            title="${escapeHtml(v.meaning?.short || "Click for details")}"
+          >
+            ${escapeHtml(v.verb)}
+          </button>
+        `
+        )
+        .join("");
+
+      return `
+        <div class="accordion-item">
           <h2 class="accordion-header" id="h-${idx}">
             <button class="accordion-button ${idx === 0 ? "" : "collapsed"}" type="button" data-bs-toggle="collapse"
               data-bs-target="#c-${idx}" aria-expanded="${idx === 0 ? "true" : "false"}" aria-controls="c-${idx}">
-              <span class="badge me-2" style="background:${lvl.color}; color:#fff">${escapeHtml(lvl.name)}</span>
-              <span class="text-muted">${escapeHtml(lvl.description || "")}</span>
+              <span class="d-flex flex-column me-2">
+                <span>
+                  <span class="badge me-2" style="background:${lvl.color}; color:#fff">${escapeHtml(lvl.name)}</span>
+                  <span class="text-muted">${escapeHtml(lvl.description || "")}</span>
+                </span>
+                ${levelHeaderGuideHtml(lvl)}
+              </span>
+              ${qfLevelBadge(lvl.id)}
             </button>
           </h2>
           <div id="c-${idx}" class="accordion-collapse collapse ${idx === 0 ? "show" : ""}" aria-labelledby="h-${idx}" data-bs-parent="#${accordionId}">
@@ -633,148 +2865,2855 @@ function renderVerbsForAssessment(formatId) {
             </div>
           </div>
         </div>
-      `;
-    })
-    .join("");
+      `;
+    })
+    .join("");
+
+  $("#resultsArea").html(`
+    <div class="mb-3" data-assessment-view="${escapeHtml(formatId)}">
+      ${profileHtml}
+      <div class="fw-semibold mb-2">Verbs you can credibly assess with this format</div>
+      <div class="alert alert-secondary mb-3">${escapeHtml(APP.disclaimer || "")}</div>
+      <div class="accordion" id="${accordionId}">
+        ${items}
+      </div>
+    </div>
+  `);
+
+  $(".verb-pill").on("click", function () {
+    const verbId = String($(this).data("verb-id") || "");
+    const levelId = String($(this).data("level-id") || "");
+    selectVerbById(verbId, { switchToLO: false, selectedLevelId: levelId || null });
+  });
+}
+
+// -------------------- Assessment format comparison --------------------
+const FORMAT_COMPARE_MAX = 4;
+
+function renderFormatComparison(formatIds = []) {
+  const ids = formatIds.filter((id) => APP.assessmentFormats.some((f) => f.id === id)).slice(0, FORMAT_COMPARE_MAX);
+  const chosen = new Set(ids);
+
+  const picker = APP.assessmentFormats
+    .map(
+      (f) => `
+      <div class="form-check form-check-inline">
+        <input class="form-check-input compare-format" type="checkbox" id="cf-${escapeHtml(f.id)}" value="${escapeHtml(f.id)}"
+          ${chosen.has(f.id) ? "checked" : ""} ${!chosen.has(f.id) && ids.length >= FORMAT_COMPARE_MAX ? "disabled" : ""} />
+        <label class="form-check-label small" for="cf-${escapeHtml(f.id)}">${escapeHtml(f.name)}</label>
+      </div>
+    `
+    )
+    .join("");
+
+  const formats = ids.map((id) => APP.assessmentFormats.find((f) => f.id === id));
+  let table = `<div class="alert alert-info mb-0">Tick two to four formats to compare them side by side.</div>`;
+
+  if (formats.length >= 2) {
+    const strengths = formats.map((f) => formatLevelStrengths(f.id));
+    const head = formats.map((f) => `<th class="small">${escapeHtml(f.name)}${overlayBadge(f)}</th>`).join("");
+    const row = (label, cells) => `<tr><th class="small text-nowrap">${escapeHtml(label)}</th>${cells.map((c) => `<td class="small">${c}</td>`).join("")}</tr>`;
+    const list = (items) => (items.length ? `<ul class="mb-0 ps-3">${items.map((x) => `<li>${escapeHtml(x)}</li>`).join("")}</ul>` : `<span class="text-muted">—</span>`);
+
+    const levelRows = [...APP.bloomLevels]
+      .sort((a, b) => a.order - b.order)
+      .map((lvl) => {
+        const cells = strengths.map((levels) => {
+          const s = levels.find((x) => x.level.id === lvl.id);
+          if (!s?.n) return `<span class="text-muted">not mapped</span>`;
+          const counts = Object.keys(SUITABILITY_SCORE)
+            .filter((k) => s.counts[k])
+            .map((k) => `<span class="badge me-1" style="background:${SUITABILITY_STYLES[k].bg}; color:${SUITABILITY_STYLES[k].fg}">${escapeHtml(k)} ${s.counts[k]}</span>`)
+            .join("");
+          return `${counts}<div class="${s.verdict === "strong" ? "text-success fw-semibold" : s.verdict === "weak" ? "text-danger" : ""}">${escapeHtml(s.verdict)}</div>`;
+        });
+        return `<tr><th class="small text-nowrap"><span class="badge" style="background:${lvl.color}; color:#fff">${escapeHtml(lvl.name)}</span></th>${cells
+          .map((c) => `<td class="small">${c}</td>`)
+          .join("")}</tr>`;
+      })
+      .join("");
+
+    // Verbs well supported (high / context-dependent) by one format and by none of the others
+    const wellSupported = formats.map((f) => new Set(APP.verbs.filter((v) => isWellCovered(getSuitability(v, f.id))).map((v) => v.id)));
+    const onlyHere = formats.map((f, i) =>
+      APP.verbs
+        .filter((v) => wellSupported[i].has(v.id) && wellSupported.every((set, j) => j === i || !set.has(v.id)))
+        .sort((a, b) => a.verb.localeCompare(b.verb))
+    );
+    const onlyCells = onlyHere.map((verbs) =>
+      verbs.length
+        ? verbs
+            .map(
+              (v) => `<button class="btn btn-sm btn-outline-secondary me-1 mb-1 compare-verb-pill" data-verb-id="${escapeHtml(v.id)}"
+                title="${escapeHtml(v.levels.join(", "))}">${escapeHtml(v.verb)}</button>`
+            )
+            .join("")
+        : `<span class="text-muted">none</span>`
+    );
+
+    table = `
+      <div class="table-responsive">
+        <table class="table table-sm table-bordered align-top">
+          <thead><tr><th></th>${head}</tr></thead>
+          <tbody>
+            ${row("Category", formats.map((f) => escapeHtml(f.category || "—")))}
+            ${row("Typical evidence", formats.map((f) => list(f.typicalEvidence || [])))}
+            ${row("Marking load", formats.map((f) => escapeHtml(f.scalability?.markingLoad || "—")))}
+            ${row("Setup load", formats.map((f) => escapeHtml(f.scalability?.setupLoad || "—")))}
+            ${row("AI risk", formats.map((f) => `<strong>${escapeHtml(f.aiRisk?.likelihood || "—")}</strong>${list(f.aiRisk?.mitigations || [])}`))}
+            <tr><th colspan="${formats.length + 1}" class="small table-light">Level coverage (verb entries mapped, by suitability)</th></tr>
+            ${levelRows}
+            ${row("Only this format supports well", onlyCells)}
+          </tbody>
+        </table>
+      </div>
+      <div class="text-muted small">${escapeHtml(APP.disclaimer || "")}</div>
+    `;
+  }
+
+  $("#resultsArea").html(`
+    <div class="card mb-3" data-format-compare="${escapeHtml(ids.join(","))}">
+      <div class="card-header">Compare assessment formats</div>
+      <div class="card-body">
+        <div class="mb-3">${picker}</div>
+        ${table}
+      </div>
+    </div>
+  `);
+
+  $(".compare-format").on("change", () => {
+    const next = $(".compare-format:checked")
+      .map((_, el) => String(el.value))
+      .get();
+    // Keep the order in which formats were ticked so columns do not jump around
+    renderFormatComparison([...ids.filter((id) => next.includes(id)), ...next.filter((id) => !ids.includes(id))]);
+  });
+
+  $(".compare-verb-pill").on("click", function () {
+    selectVerbById(String($(this).data("verb-id")), { switchToLO: false });
+  });
+}
+
+// -------------------- Learning outcome analyser --------------------
+// Verbs that describe internal states rather than observable performance.
+const UNMEASURABLE_VERBS = {
+  know: ["define", "identify", "list"],
+  understand: ["explain", "summarise", "classify"],
+  appreciate: ["explain", "justify", "evaluate"],
+  "be aware of": ["identify", "describe"],
+  "be familiar with": ["identify", "describe"],
+  comprehend: ["explain", "summarise"],
+  learn: ["demonstrate", "apply"],
+  grasp: ["explain", "describe"],
+  realise: ["identify", "explain"],
+  believe: ["justify", "critique"],
+};
+
+// Lead-ins that precede the verb in programme documents.
+const LO_LEAD_IN_RE =
+  /^(?:(?:on successful completion[^,:]*[,:]\s*)?(?:the\s+)?(?:students?|learners?|participants?|graduates?)\s+(?:will|should|can|must)\s+be\s+able\s+to|(?:be\s+)?able\s+to)\s*:?\s*/i;
+
+function tokeniseOutcome(text) {
+  const tokens = [];
+  const re = /[A-Za-z][A-Za-z'’-]*|[,;:&]/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    tokens.push({ raw: m[0], norm: normaliseSpelling(m[0].replace(/[’']s$/, "")), start: m.index, end: re.lastIndex });
+  }
+  return tokens;
+}
+
+// term (normalised, possibly multi-word) -> [{ verb entry, via: "verb" | "synonym" | "keyword" }]
+function buildVerbLexicon() {
+  const lexicon = new Map();
+  const add = (term, v, via) => {
+    const key = String(term || "")
+      .trim()
+      .split(/\s+/)
+      .map(normaliseSpelling)
+      .join(" ");
+    if (!key) return;
+    if (!lexicon.has(key)) lexicon.set(key, []);
+    const list = lexicon.get(key);
+    if (!list.some((x) => x.verb.id === v.id)) list.push({ verb: v, via });
+  };
+  for (const v of APP.verbs) add(v.verb, v, "verb");
+  for (const v of APP.verbs) (v.synonyms || []).forEach((s) => add(s, v, "synonym"));
+  for (const v of APP.verbs) (v.searchKeywords || []).forEach((k) => add(k, v, "keyword"));
+  for (const term of Object.keys(UNMEASURABLE_VERBS)) {
+    const key = term.split(/\s+/).map(normaliseSpelling).join(" ");
+    if (!lexicon.has(key)) lexicon.set(key, []);
+  }
+  return lexicon;
+}
+
+function splitOutcomes(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) =>
+      line
+        .trim()
+        .replace(/^(?:LO\s*\d+|\d+|[a-z]|[ivx]+)[.):]\s+/i, "")
+        .replace(/^[-•*–]\s*/, "")
+        .trim()
+    )
+    .filter((line) => line && !/:$/.test(line));
+}
+
+function analyseOutcome(text, lexicon) {
+  const body = text.replace(LO_LEAD_IN_RE, "");
+  const offset = text.length - body.length;
+  const tokens = tokeniseOutcome(body);
+  const found = [];
+
+  // A verb counts when it opens the outcome or a coordinated clause ("describe, analyse and evaluate ...").
+  const clauseStart = (i) => i === 0 || ["and", "or", "then", ",", ";", "&"].includes(tokens[i - 1].norm);
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!clauseStart(i)) continue;
+    for (const len of [3, 2, 1]) {
+      const slice = tokens.slice(i, i + len);
+      if (slice.length < len) continue;
+      const key = slice.map((t) => t.norm).join(" ");
+      if (!lexicon.has(key)) continue;
+      // Keywords are often nouns ("similarities"), so only the opening verb may be found through one
+      const all = lexicon.get(key).filter((e) => i === 0 || e.via !== "keyword");
+      const unmeasurable = Object.prototype.hasOwnProperty.call(UNMEASURABLE_VERBS, key);
+      if (!all.length && !unmeasurable) continue;
+      // A direct verb entry wins over entries that only list the term as a synonym or keyword
+      const entries = all.some((e) => e.via === "verb") ? all.filter((e) => e.via === "verb") : all;
+      found.push({
+        term: body.slice(slice[0].start, slice[len - 1].end),
+        key,
+        start: offset + slice[0].start,
+        end: offset + slice[len - 1].end,
+        entries,
+        unmeasurable: unmeasurable && !entries.length,
+      });
+      i += len - 1;
+      break;
+    }
+  }
+
+  const levelIds = new Set();
+  for (const f of found) for (const e of f.entries) for (const id of e.verb.levelIds || []) levelIds.add(id);
+
+  return {
+    text,
+    verbs: found,
+    levelIds: [...levelIds].sort((a, b) => (getLevelMetaById(a)?.order ?? 999) - (getLevelMetaById(b)?.order ?? 999)),
+    compound: found.filter((f) => f.entries.length || f.unmeasurable).length > 1,
+  };
+}
+
+// The verb with the highest primary level is taken as the one the outcome targets
+function analysedTargetVerb(result) {
+  return result.verbs
+    .flatMap((f) => f.entries.map((e) => e.verb))
+    .filter((v) => v.primaryLevelId)
+    .sort((a, b) => (getLevelMetaById(b.primaryLevelId)?.order ?? -1) - (getLevelMetaById(a.primaryLevelId)?.order ?? -1))[0];
+}
+
+function highlightOutcomeVerbs(result) {
+  let html = "";
+  let last = 0;
+  for (const f of result.verbs) {
+    html += escapeHtml(result.text.slice(last, f.start));
+    html += `<mark class="${f.unmeasurable ? "bg-warning" : ""}">${escapeHtml(result.text.slice(f.start, f.end))}</mark>`;
+    last = f.end;
+  }
+  return html + escapeHtml(result.text.slice(last));
+}
+
+function renderOutcomeAnalysis(text) {
+  const outcomes = splitOutcomes(text);
+  if (!outcomes.length) {
+    showInfo("Paste at least one learning outcome to analyse.");
+    return;
+  }
+
+  const lexicon = buildVerbLexicon();
+  const results = outcomes.map((o) => analyseOutcome(o, lexicon));
+
+  const cards = results
+    .map((r, idx) => {
+      const levelBadges = r.levelIds
+        .map((id) => getLevelMetaById(id))
+        .filter(Boolean)
+        .map((l) => `<span class="badge me-1" style="background:${l.color}; color:#fff">${escapeHtml(l.name)}</span>`)
+        .join("");
+
+      const verbRows = r.verbs
+        .map((f) => {
+          if (f.unmeasurable) {
+            const alts = UNMEASURABLE_VERBS[f.key] || [];
+            return `<li><strong>${escapeHtml(f.term)}</strong> — not directly measurable.
+              ${alts.length ? `Consider: ${alts.map(escapeHtml).join(", ")}.` : ""}</li>`;
+          }
+          const links = f.entries
+            .map((e) => {
+              const lvl = getLevelMetaById(e.verb.primaryLevelId);
+              const via = e.via === "verb" ? "" : ` (${e.via} of “${escapeHtml(e.verb.verb)}”)`;
+              return `<button class="btn btn-link btn-sm p-0 analysed-verb" data-verb-id="${escapeHtml(e.verb.id)}"
+                data-level-id="${escapeHtml(e.verb.primaryLevelId || "")}">${escapeHtml(e.verb.verb)}</button>
+                <span class="text-muted">— ${escapeHtml(lvl?.name || e.verb.primaryLevelId || "")}${via}</span>`;
+            })
+            .join("; ");
+          return `<li><strong>${escapeHtml(f.term)}</strong>: ${links}</li>`;
+        })
+        .join("");
+
+      const warnings = [];
+      if (!r.verbs.length) {
+        warnings.push("No known verb found at the start of this outcome. Check the wording or add the verb to the library.");
+      }
+      if (r.compound) {
+        warnings.push(
+          "Compound outcome: several verbs are assessed together. Consider splitting it, or make sure the assessment evidences each verb."
+        );
+      }
+      if (r.verbs.some((f) => f.unmeasurable)) {
+        warnings.push("Contains a verb that cannot be observed directly; rewrite it around what learners will do.");
+      }
+      const target = analysedTargetVerb(r)?.primaryLevelId;
+      for (const f of r.verbs) {
+        const conflict = f.entries.map((e) => guardrailConflict(e.verb, target)).find(Boolean);
+        if (conflict) warnings.push(conflict);
+      }
+
+      const first = r.verbs.find((f) => f.entries.length)?.entries[0]?.verb;
+
+      return `
+        <div class="card mb-3">
+          <div class="card-body">
+            <div class="mb-2"><span class="fw-semibold me-1">LO${idx + 1}.</span>${highlightOutcomeVerbs(r)}</div>
+            <div class="mb-2">${levelBadges || `<span class="text-muted small">No Bloom level detected.</span>`}</div>
+            ${verbRows ? `<ul class="small mb-2">${verbRows}</ul>` : ""}
+            ${warnings.map((w) => `<div class="alert alert-warning small py-1 px-2 mb-1">${escapeHtml(w)}</div>`).join("")}
+            ${
+              first
+                ? `<button class="btn btn-sm btn-outline-primary mt-1 add-analysed-lo" data-index="${idx}"
+                    data-verb-id="${escapeHtml(first.id)}" data-level-id="${escapeHtml(first.primaryLevelId || "")}">Add to module LOs</button>`
+                : ""
+            }
+          </div>
+        </div>
+      `;
+    })
+    .join("");
+
+  $("#resultsArea").html(`
+    <div class="d-flex justify-content-between align-items-center mb-2">
+      <span class="small text-muted">${results.length} outcome(s) analysed. Detected verbs are highlighted.</span>
+      <button id="analyseDashboardBtn" class="btn btn-sm btn-outline-primary">Chart distribution</button>
+    </div>
+    ${cards}
+  `);
+
+  $("#analyseDashboardBtn").on("click", () => renderAnalysisDashboard(results));
+
+  $(".analysed-verb").on("click", function () {
+    const verbId = String($(this).data("verb-id") || "");
+    const levelId = String($(this).data("level-id") || "");
+    selectVerbById(verbId, { switchToLO: true, selectedLevelId: levelId || null });
+  });
+
+  $(".add-analysed-lo").on("click", function () {
+    const r = results[Number($(this).data("index"))];
+    addModuleLo({ text: r.text, verbId: String($(this).data("verb-id")), levelId: String($(this).data("level-id")) || null });
+    $(this).prop("disabled", true).text("Added");
+  });
+}
+
+// -------------------- Constructive alignment matrix --------------------
+const SUITABILITY_STYLES = {
+  high: { bg: "#198754", fg: "#fff", label: "high" },
+  "context-dependent": { bg: "#20c997", fg: "#000", label: "context-dependent" },
+  medium: { bg: "#ffc107", fg: "#000", label: "medium" },
+  low: { bg: "#fd7e14", fg: "#fff", label: "low" },
+  unmapped: { bg: "#C0C0C0", fg: "#000", label: "unmapped" },
+};
+
+// An outcome is "well covered" when at least one chosen format is high or context-dependent for its verb.
+function isWellCovered(suitability) {
+  return suitabilityRank(suitability) <= SUITABILITY_RANK["context-dependent"];
+}
+
+function toggleModuleFormat(formatId, on) {
+  const mod = getActiveModule();
+  if (!mod) return;
+  const ids = new Set(mod.assessmentFormatIds || []);
+  if (on) ids.add(formatId);
+  else ids.delete(formatId);
+  // Keep the catalogue order so matrix columns are stable
+  mod.assessmentFormatIds = APP.assessmentFormats.map((f) => f.id).filter((id) => ids.has(id));
+  saveModuleStore();
+}
+
+function renderAlignmentMatrix() {
+  const mod = getActiveModule();
+  if (!mod || !mod.outcomes.length) {
+    showInfo("Add learning outcomes to a module first; the alignment matrix maps them against the module's assessments.");
+    return;
+  }
+
+  const chosen = new Set(mod.assessmentFormatIds || []);
+  const formats = APP.assessmentFormats.filter((f) => chosen.has(f.id));
+
+  const formatChecks = APP.assessmentFormats
+    .map(
+      (f) => `
+      <div class="form-check form-check-inline">
+        <input class="form-check-input align-format" type="checkbox" id="af-${escapeHtml(f.id)}"
+          value="${escapeHtml(f.id)}" ${chosen.has(f.id) ? "checked" : ""} />
+        <label class="form-check-label small" for="af-${escapeHtml(f.id)}">${escapeHtml(f.name)}</label>
+      </div>
+    `
+    )
+    .join("");
+
+  const legend = Object.values(SUITABILITY_STYLES)
+    .map((st) => `<span class="badge me-1" style="background:${st.bg}; color:${st.fg}">${escapeHtml(st.label)}</span>`)
+    .join("");
+
+  const headCells = formats.map((f) => `<th class="text-center small">${escapeHtml(f.name)}</th>`).join("");
+
+  const rows = mod.outcomes
+    .map((lo, i) => {
+      const v = getVerbById(lo.verbId);
+      const lvl = getLevelMetaById(lo.levelId);
+      const cells = formats
+        .map((f) => {
+          const suit = getSuitability(v, f.id);
+          const st = SUITABILITY_STYLES[suit] || SUITABILITY_STYLES.unmapped;
+          return `<td class="text-center small" style="background:${st.bg}; color:${st.fg}">${escapeHtml(st.label)}</td>`;
+        })
+        .join("");
+
+      const best = formats.map((f) => getSuitability(v, f.id)).sort((a, b) => suitabilityRank(a) - suitabilityRank(b))[0];
+      const flag = !formats.length || isWellCovered(best)
+        ? ""
+        : `<div class="small text-danger mt-1">⚠ No chosen assessment covers this outcome well (best: ${escapeHtml(best || "unmapped")}).</div>`;
+
+      return `
+        <tr>
+          <td>
+            <span class="fw-semibold">LO${i + 1}.</span> ${escapeHtml(lo.text)}
+            <div class="small text-muted">
+              ${lvl ? `<span class="badge" style="background:${lvl.color}; color:#fff">${escapeHtml(lvl.name)}</span>` : ""}
+              ${v ? escapeHtml(v.verb) : ""}
+            </div>
+            ${flag}
+          </td>
+          ${cells}
+        </tr>
+      `;
+    })
+    .join("");
+
+  const table = formats.length
+    ? `<div class="table-responsive">
+        <table class="table table-sm table-bordered align-middle">
+          <thead><tr><th>Learning outcome</th>${headCells}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`
+    : `<div class="alert alert-info">Tick the assessment formats this module uses to build the matrix.</div>`;
+
+  $("#resultsArea").html(`
+    <div class="card mb-3">
+      <div class="card-header">Constructive alignment: ${escapeHtml(mod.name)}</div>
+      <div class="card-body">
+        <div class="mb-2"><strong class="small d-block mb-1">Assessments used in this module:</strong>${formatChecks}</div>
+        <div class="mb-3 small">${legend}</div>
+        ${table}
+        <div class="text-muted small mt-2">${escapeHtml(APP.disclaimer || "")}</div>
+      </div>
+    </div>
+  `);
+
+  $(".align-format").on("change", function () {
+    toggleModuleFormat(String($(this).val()), this.checked);
+    renderAlignmentMatrix();
+  });
+}
+
+// -------------------- Format mix planner --------------------
+// Weighted greedy set cover: repeatedly take the format that newly covers the most outcomes (high or
+// context-dependent) per unit of cost, then drop formats the rest of the mix makes redundant.
+// Cost is 1 per format plus the user's weights times the format's marking load and AI risk.
+const LOAD_COST = { low: 0, medium: 1, high: 2 };
+const PLAN_PROFILES = [
+  { label: "Fewest formats", marking: 0, ai: 0 },
+  { label: "Low marking load", marking: 2, ai: 0 },
+  { label: "Low AI risk", marking: 0, ai: 2 },
+  { label: "Low marking load and AI risk", marking: 1, ai: 1 },
+];
+let PLAN_WEIGHTS = { marking: 1, ai: 1 };
+
+function formatCost(fmt, weights) {
+  const cost = (value) => LOAD_COST[value] ?? 1;
+  return 1 + weights.marking * cost(fmt.scalability?.markingLoad) + weights.ai * cost(fmt.aiRisk?.likelihood);
+}
+
+// outcome index sets per format id
+function formatCoverage(outcomes) {
+  return new Map(
+    APP.assessmentFormats.map((f) => [
+      f.id,
+      new Set(outcomes.map((lo, i) => (isWellCovered(getSuitability(getVerbById(lo.verbId), f.id)) ? i : -1)).filter((i) => i >= 0)),
+    ])
+  );
+}
+
+function planFormatMix(outcomes, weights) {
+  const coverage = formatCoverage(outcomes);
+  const coverable = new Set([...coverage.values()].flatMap((s) => [...s]));
+  const suitScore = (fid, idxs) => idxs.reduce((sum, i) => sum + (SUITABILITY_SCORE[getSuitability(getVerbById(outcomes[i].verbId), fid)] || 0), 0);
+
+  const open = new Set(coverable);
+  const picked = [];
+  while (open.size) {
+    let best = null;
+    for (const f of APP.assessmentFormats) {
+      if (picked.includes(f)) continue;
+      const gain = [...coverage.get(f.id)].filter((i) => open.has(i));
+      if (!gain.length) continue;
+      const candidate = { f, ratio: gain.length / formatCost(f, weights), score: suitScore(f.id, gain) };
+      if (!best || candidate.ratio > best.ratio || (candidate.ratio === best.ratio && candidate.score > best.score)) best = candidate;
+    }
+    if (!best) break;
+    picked.push(best.f);
+    for (const i of coverage.get(best.f.id)) open.delete(i);
+  }
+
+  // Costliest first, drop any format whose outcomes the others still cover
+  for (const f of [...picked].sort((a, b) => formatCost(b, weights) - formatCost(a, weights))) {
+    const others = picked.filter((x) => x !== f);
+    if ([...coverage.get(f.id)].every((i) => others.some((o) => coverage.get(o.id).has(i)))) picked.splice(picked.indexOf(f), 1);
+  }
+
+  return {
+    formats: APP.assessmentFormats.filter((f) => picked.includes(f)),
+    coverage,
+    uncoverable: outcomes.map((_, i) => i).filter((i) => !coverable.has(i)),
+  };
+}
+
+function planTradeOffs(fmt, plan, outcomes, weights) {
+  const notes = [];
+  const marking = fmt.scalability?.markingLoad;
+  if (marking === "high" || fmt.scalability?.setupLoad === "high") {
+    notes.push(`Workload: marking ${marking || "—"}, setup ${fmt.scalability?.setupLoad || "—"}.`);
+  }
+  const risk = fmt.aiRisk?.likelihood;
+  if (risk && risk !== "low") {
+    const mitigations = fmt.aiRisk?.mitigations || [];
+    notes.push(`AI risk ${risk}${mitigations.length ? `; mitigate with ${mitigations.join(", ")}` : ""}.`);
+  }
+
+  // Outcomes only this format covers within the mix, and a cheaper format that would cover them too
+  const sole = [...plan.coverage.get(fmt.id)].filter((i) => !plan.formats.some((o) => o !== fmt && plan.coverage.get(o.id).has(i)));
+  const cheaper = APP.assessmentFormats
+    .filter((o) => sole.length && !plan.formats.includes(o) && sole.every((i) => plan.coverage.get(o.id).has(i)))
+    .filter((o) => formatCost(o, weights) < formatCost(fmt, weights))
+    .sort((a, b) => formatCost(a, weights) - formatCost(b, weights))[0];
+  if (cheaper) {
+    const fit = (f) => sole.reduce((sum, i) => sum + (SUITABILITY_SCORE[getSuitability(getVerbById(outcomes[i].verbId), f.id)] || 0), 0);
+    const reach = (f) => plan.coverage.get(f.id).size;
+    const drawbacks = [];
+    if (fit(cheaper) < fit(fmt)) drawbacks.push("fits them less well");
+    if (reach(cheaper) < reach(fmt)) drawbacks.push(`covers fewer outcomes (${reach(cheaper)} vs ${reach(fmt)})`);
+    notes.push(
+      `${cheaper.name} would also cover ${sole.map((i) => `LO${i + 1}`).join(", ")} at lower cost (marking ${cheaper.scalability?.markingLoad || "—"}, AI risk ${
+        cheaper.aiRisk?.likelihood || "—"
+      })${drawbacks.length ? ` but ${drawbacks.join(" and ")}` : "; consider swapping"}.`
+    );
+  }
+  return { sole, notes };
+}
+
+function useFormatMix(formatIds) {
+  const mod = getActiveModule();
+  if (!mod) return;
+  mod.assessmentFormatIds = APP.assessmentFormats.map((f) => f.id).filter((id) => formatIds.includes(id));
+  saveModuleStore();
+  renderModuleWorkspace();
+  renderAlignmentMatrix();
+}
+
+function renderFormatPlanner() {
+  const mod = getActiveModule();
+  if (!mod || !mod.outcomes.length) {
+    showInfo("Add learning outcomes to a module first; the planner then suggests a small set of formats that covers them.");
+    return;
+  }
+
+  const outcomes = mod.outcomes;
+  const plan = planFormatMix(outcomes, PLAN_WEIGHTS);
+  const covered = outcomes.length - plan.uncoverable.length;
+  const weightOptions = (value) =>
+    [
+      [0, "ignore"],
+      [1, "prefer low"],
+      [2, "strongly prefer low"],
+    ]
+      .map(([v, label]) => `<option value="${v}" ${v === value ? "selected" : ""}>${label}</option>`)
+      .join("");
+
+  const cards = plan.formats
+    .map((f) => {
+      const { sole, notes } = planTradeOffs(f, plan, outcomes, PLAN_WEIGHTS);
+      const covers = [...plan.coverage.get(f.id)]
+        .sort((a, b) => a - b)
+        .map((i) => {
+          const s = getSuitability(getVerbById(outcomes[i].verbId), f.id);
+          const style = SUITABILITY_STYLES[s] || SUITABILITY_STYLES.unmapped;
+          return `<span class="badge me-1" style="background:${style.bg}; color:${style.fg}" title="${escapeHtml(outcomes[i].text)}">LO${i + 1} · ${escapeHtml(s)}</span>`;
+        })
+        .join("");
+      return `
+        <div class="border rounded p-2 mb-2">
+          <div class="d-flex justify-content-between align-items-center">
+            <strong>${escapeHtml(f.name)}</strong>
+            <span class="small text-muted">marking ${escapeHtml(f.scalability?.markingLoad || "—")} · setup ${escapeHtml(f.scalability?.setupLoad || "—")} · AI risk ${escapeHtml(f.aiRisk?.likelihood || "—")}</span>
+          </div>
+          <div class="small mt-1">Covers: ${covers}</div>
+          ${sole.length ? `<div class="small text-muted">Needed in this mix for ${sole.map((i) => `LO${i + 1}`).join(", ")}.</div>` : ""}
+          ${notes.length ? `<ul class="small mb-0 mt-1 ps-3">${notes.map((n) => `<li>${escapeHtml(n)}</li>`).join("")}</ul>` : ""}
+        </div>
+      `;
+    })
+    .join("");
+
+  const uncoverableHtml = plan.uncoverable.length
+    ? `<div class="alert alert-warning small py-2">
+        No format suits these outcomes at high or context-dependent level:
+        ${plan.uncoverable
+          .map((i) => `LO${i + 1} (${escapeHtml(getVerbById(outcomes[i].verbId)?.verb || "no verb")})`)
+          .join(", ")}. Check their verb or add mappings in the editor.
+      </div>`
+    : "";
+
+  // Other weightings, shown when they lead to a different mix
+  const seen = new Set([plan.formats.map((f) => f.id).join(",")]);
+  const alternatives = PLAN_PROFILES.map((p) => ({ p, mix: planFormatMix(outcomes, p).formats }))
+    .filter(({ mix }) => {
+      const key = mix.map((f) => f.id).join(",");
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(
+      ({ p, mix }) => `
+        <tr>
+          <td class="small">${escapeHtml(p.label)}</td>
+          <td class="small">${mix.map((f) => escapeHtml(f.name)).join(", ")}</td>
+          <td class="small">${mix.map((f) => escapeHtml(f.scalability?.markingLoad || "—")).join(", ")}</td>
+          <td class="small">${mix.map((f) => escapeHtml(f.aiRisk?.likelihood || "—")).join(", ")}</td>
+          <td><button class="btn btn-sm btn-outline-primary use-mix" data-format-ids="${escapeHtml(mix.map((f) => f.id).join(","))}">Use</button></td>
+        </tr>
+      `
+    )
+    .join("");
+
+  $("#resultsArea").html(`
+    <div class="card mb-3">
+      <div class="card-header">Suggested format mix: ${escapeHtml(mod.name)}</div>
+      <div class="card-body">
+        <div class="row g-2 mb-3">
+          <div class="col-auto">
+            <label class="form-label small mb-0" for="planMarking">Marking load</label>
+            <select id="planMarking" class="form-select form-select-sm plan-weight" data-weight="marking">${weightOptions(PLAN_WEIGHTS.marking)}</select>
+          </div>
+          <div class="col-auto">
+            <label class="form-label small mb-0" for="planAi">AI risk</label>
+            <select id="planAi" class="form-select form-select-sm plan-weight" data-weight="ai">${weightOptions(PLAN_WEIGHTS.ai)}</select>
+          </div>
+        </div>
+        <p class="small mb-2">
+          ${plan.formats.length} format(s) evidence ${covered} of ${outcomes.length} outcomes at high or context-dependent suitability.
+        </p>
+        ${uncoverableHtml}
+        ${cards}
+        <button id="useSuggestedMix" class="btn btn-primary btn-sm mt-1" ${plan.formats.length ? "" : "disabled"}>Use this mix for the module</button>
+        ${
+          alternatives
+            ? `<h3 class="h6 mt-4">Other weightings</h3>
+              <div class="table-responsive">
+                <table class="table table-sm align-middle">
+                  <thead><tr><th>Weighting</th><th>Formats</th><th>Marking load</th><th>AI risk</th><th></th></tr></thead>
+                  <tbody>${alternatives}</tbody>
+                </table>
+              </div>`
+            : ""
+        }
+        <div class="text-muted small mt-2">${escapeHtml(APP.disclaimer || "")}</div>
+      </div>
+    </div>
+  `);
+
+  $(".plan-weight").on("change", function () {
+    PLAN_WEIGHTS = { ...PLAN_WEIGHTS, [String($(this).data("weight"))]: Number($(this).val()) };
+    renderFormatPlanner();
+  });
+  $("#useSuggestedMix").on("click", () => useFormatMix(plan.formats.map((f) => f.id)));
+  $(".use-mix").on("click", function () {
+    useFormatMix(String($(this).data("format-ids")).split(","));
+  });
+}
+
+// -------------------- Export (Word, CSV, Markdown) --------------------
+// Exports are built as a small document model, then rendered per format:
+// { title, blocks: [{ type: "heading" | "paragraph" | "bullets" | "table", ... }], csv: { headers, rows } }
+const EXPORT_FORMATS = {
+  docx: { label: "Word", ext: "docx" },
+  csv: { label: "CSV", ext: "csv" },
+  md: { label: "Markdown", ext: "md" },
+};
+
+function exportButtonsHtml(cssClass) {
+  return Object.entries(EXPORT_FORMATS)
+    .map(([key, f]) => `<button class="btn btn-sm btn-outline-secondary ${cssClass}" type="button" data-export-format="${key}">${escapeHtml(f.label)}</button>`)
+    .join("");
+}
+
+function mappingLines(m) {
+  return {
+    format: m.formatName || formatNamesFromIds([m.assessmentFormatId])[0] || m.assessmentFormatId,
+    suitability: m.suitability || "",
+    rationale: m.rationale || "",
+    designNotes: m.designNotes || [],
+  };
+}
+
+function verbExportDoc(verbObj, selectedLevelId = null) {
+  const { stems, stemsLevelId } = verbStemsForLevel(verbObj, selectedLevelId);
+  const guidance = verbGuidanceForLevel(verbObj, selectedLevelId);
+  const levels = [...(verbObj.levels || [])].sort((a, b) => byBloomOrder(a) - byBloomOrder(b)).join(", ");
+  const stemsLevel = getLevelMetaById(stemsLevelId)?.name || "";
+  const { taskIdeas, taskLevelId } = verbTaskIdeasForLevel(verbObj, selectedLevelId);
+  const taskLevel = getLevelMetaById(taskLevelId)?.name || "";
+  const meaning = typeof verbObj.meaning === "string" ? { short: verbObj.meaning } : verbObj.meaning || {};
+  const mappings = (verbObj.formatMappings || [])
+    .slice()
+    .sort((a, b) => suitabilityRank(a.suitability) - suitabilityRank(b.suitability))
+    .map(mappingLines);
+
+  const blocks = [{ type: "paragraph", text: `Bloom level(s): ${levels || "—"}${verbObj.diagnosticStrength ? ` · Diagnostic strength: ${verbObj.diagnosticStrength}` : ""}` }];
+  if (meaning.short || meaning.expanded) {
+    blocks.push({ type: "heading", level: 2, text: "What this verb means" });
+    if (meaning.short) blocks.push({ type: "paragraph", text: meaning.short });
+    if (meaning.expanded) blocks.push({ type: "paragraph", text: meaning.expanded });
+  }
+  if (guidance) blocks.push({ type: "heading", level: 2, text: "Level guidance" }, { type: "paragraph", text: guidance });
+  if ((verbObj.synonyms || []).length) blocks.push({ type: "heading", level: 2, text: "Related verbs" }, { type: "paragraph", text: verbObj.synonyms.join(", ") });
+  if (stems.length) {
+    blocks.push({ type: "heading", level: 2, text: `Example LO stems${stemsLevel ? ` (${stemsLevel})` : ""}` }, { type: "bullets", items: stems });
+  }
+  if (taskIdeas.length) {
+    blocks.push(
+      { type: "heading", level: 2, text: `Task ideas${taskLevel ? ` (${taskLevel})` : ""}` },
+      { type: "bullets", items: taskIdeas.map((t) => [t.title, t.description].filter(Boolean).join(": ")) }
+    );
+  }
+  if (mappings.length) {
+    blocks.push(
+      { type: "heading", level: 2, text: "Commonly suitable assessment formats" },
+      {
+        type: "table",
+        headers: ["Format", "Suitability", "Rationale", "Design notes"],
+        rows: mappings.map((m) => [m.format, m.suitability, m.rationale, m.designNotes]),
+      }
+    );
+  }
+  if (APP.disclaimer) blocks.push({ type: "paragraph", text: APP.disclaimer, muted: true });
+
+  const csvRows = [
+    ...stems.map((s) => ["LO stem", stemsLevel, s, "", "", ""]),
+    ...taskIdeas.map((t) => ["Task idea", taskLevel, t.title || "", t.description || "", "", ""]),
+    ...mappings.map((m) => ["Format mapping", "", m.format, m.rationale, m.suitability, m.designNotes.join("; ")]),
+  ].map((r) => [verbObj.verb, levels, ...r]);
+
+  return {
+    title: `${verbObj.verb} — verb guidance`,
+    blocks,
+    csv: { headers: ["Verb", "Bloom levels", "Type", "Level", "Text", "Detail", "Suitability", "Design notes"], rows: csvRows },
+  };
+}
+
+// Outcomes with their level, verb and the formats they map to. When the module has chosen
+// assessments only those are listed (the alignment); otherwise every mapped format is.
+function moduleExportDoc(mod, outcomeIds) {
+  const chosen = new Set(mod.assessmentFormatIds || []);
+  const outcomes = mod.outcomes.filter((lo) => outcomeIds.includes(lo.id));
+
+  const rowsFor = (lo) => {
+    const v = getVerbById(lo.verbId);
+    const mappings = (v?.formatMappings || [])
+      .filter((m) => !chosen.size || chosen.has(m.assessmentFormatId))
+      .sort((a, b) => suitabilityRank(a.suitability) - suitabilityRank(b.suitability))
+      .map(mappingLines);
+    return { v, level: getLevelMetaById(lo.levelId)?.name || lo.levelId || "", mappings };
+  };
+
+  const blocks = [
+    { type: "paragraph", text: `Qualification level: ${frameworkLevelLabel(mod.frameworkId, mod.nfqLevel)}` },
+    {
+      type: "paragraph",
+      text: chosen.size
+        ? `Assessments: ${formatNamesFromIds([...chosen]).join(", ")}`
+        : "No assessments chosen for this module yet; all commonly suitable formats are listed.",
+    },
+    { type: "heading", level: 2, text: "Learning outcomes" },
+    {
+      type: "table",
+      headers: ["#", "Learning outcome", "Bloom level", "Verb"],
+      rows: outcomes.map((lo) => {
+        const { v, level } = rowsFor(lo);
+        return [`LO${mod.outcomes.indexOf(lo) + 1}`, lo.text, level, v?.verb || ""];
+      }),
+    },
+  ];
+
+  const csvRows = [];
+  for (const lo of outcomes) {
+    const n = `LO${mod.outcomes.indexOf(lo) + 1}`;
+    const { v, level, mappings } = rowsFor(lo);
+    blocks.push({ type: "heading", level: 2, text: `${n}. ${lo.text}` });
+    blocks.push({ type: "paragraph", text: `Bloom level: ${level || "—"} · Verb: ${v?.verb || "—"}` });
+    if (mappings.length) {
+      blocks.push({
+        type: "table",
+        headers: ["Assessment format", "Suitability", "Rationale", "Design notes"],
+        rows: mappings.map((m) => [m.format, m.suitability, m.rationale, m.designNotes]),
+      });
+    } else {
+      blocks.push({ type: "paragraph", text: chosen.size ? "None of the module's assessments is mapped to this verb." : "No formats mapped to this verb yet." });
+    }
+
+    const base = [mod.name, n, lo.text, level, v?.verb || ""];
+    if (!mappings.length) csvRows.push([...base, "", "", "", ""]);
+    mappings.forEach((m) => csvRows.push([...base, m.format, m.suitability, m.rationale, m.designNotes.join("; ")]));
+  }
+  if (APP.disclaimer) blocks.push({ type: "paragraph", text: APP.disclaimer, muted: true });
+
+  return {
+    title: `${mod.name} — learning outcomes`,
+    blocks,
+    csv: {
+      headers: ["Module", "LO", "Learning outcome", "Bloom level", "Verb", "Assessment format", "Suitability", "Rationale", "Design notes"],
+      rows: csvRows,
+    },
+  };
+}
+
+function cellLines(cell) {
+  return (Array.isArray(cell) ? cell : [cell ?? ""]).map(String);
+}
+
+function docToMarkdown(doc) {
+  const mdCell = (cell) => cellLines(cell).join("<br>").replace(/\|/g, "\\|").replace(/\n/g, " ");
+  const out = [`# ${doc.title}`, ""];
+  for (const b of doc.blocks) {
+    if (b.type === "heading") out.push(`${"#".repeat(b.level || 2)} ${b.text}`, "");
+    if (b.type === "paragraph") out.push(b.muted ? `_${b.text}_` : b.text, "");
+    if (b.type === "bullets") out.push(...b.items.map((i) => `- ${i}`), "");
+    if (b.type === "table") {
+      out.push(`| ${b.headers.map(mdCell).join(" | ")} |`, `| ${b.headers.map(() => "---").join(" | ")} |`);
+      out.push(...b.rows.map((r) => `| ${r.map(mdCell).join(" | ")} |`), "");
+    }
+  }
+  return out.join("\n");
+}
+
+function docToCsv(doc) {
+  const csvCell = (value) => {
+    const s = String(value ?? "");
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [doc.csv.headers, ...doc.csv.rows].map((r) => r.map(csvCell).join(","));
+  // BOM so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function docxParagraph(text, { style = "", bold = false, italic = false } = {}) {
+  const pPr = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : "";
+  const rPr = bold || italic ? `<w:rPr>${bold ? "<w:b/>" : ""}${italic ? "<w:i/>" : ""}</w:rPr>` : "";
+  return `<w:p>${pPr}<w:r>${rPr}<w:t xml:space="preserve">${xmlEscape(text)}</w:t></w:r></w:p>`;
+}
+
+function docxTable(headers, rows) {
+  const cell = (value, bold) =>
+    `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${cellLines(value)
+      .map((line) => docxParagraph(line, { bold }))
+      .join("") || docxParagraph("")}</w:tc>`;
+  const header = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${headers.map((h) => cell(h, true)).join("")}</w:tr>`;
+  const body = rows.map((r) => `<w:tr>${r.map((c) => cell(c, false)).join("")}</w:tr>`).join("");
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr><w:tblGrid>${headers
+    .map(() => "<w:gridCol/>")
+    .join("")}</w:tblGrid>${header}${body}</w:tbl>${docxParagraph("")}`;
+}
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+  <w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:rPr><w:b/><w:sz w:val="36"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="30"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="200"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="360" w:hanging="360"/></w:pPr></w:style>
+  <w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>
+    <w:top w:val="single" w:sz="4" w:space="0" w:color="999999"/><w:left w:val="single" w:sz="4" w:space="0" w:color="999999"/>
+    <w:bottom w:val="single" w:sz="4" w:space="0" w:color="999999"/><w:right w:val="single" w:sz="4" w:space="0" w:color="999999"/>
+    <w:insideH w:val="single" w:sz="4" w:space="0" w:color="999999"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="999999"/>
+  </w:tblBorders><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+// Minimal WordprocessingML package zipped with JSZip (loaded from the CDN in index.html)
+async function docToDocx(doc) {
+  if (typeof JSZip === "undefined") throw new Error("The Word export library (JSZip) is not loaded.");
+
+  const body = [docxParagraph(doc.title, { style: "Title" })];
+  for (const b of doc.blocks) {
+    if (b.type === "heading") body.push(docxParagraph(b.text, { style: b.level === 1 ? "Heading1" : "Heading2" }));
+    if (b.type === "paragraph") body.push(docxParagraph(b.text, { italic: !!b.muted }));
+    if (b.type === "bullets") body.push(...b.items.map((i) => docxParagraph(`• ${i}`, { style: "ListBullet" })));
+    if (b.type === "table") body.push(docxTable(b.headers, b.rows));
+  }
+
+  const zip = new JSZip();
+  zip.file(
+    "[Content_Types].xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`
+  );
+  zip.file(
+    "_rels/.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`
+  );
+  zip.file(
+    "word/_rels/document.xml.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+  );
+  zip.file("word/styles.xml", DOCX_STYLES);
+  zip.file(
+    "word/document.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body.join("")}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr></w:body></w:document>`
+  );
+
+  return zip.generateAsync({ type: "blob", mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" });
+}
+
+async function exportDoc(doc, format) {
+  const filename = `${slugify(doc.title) || "export"}.${EXPORT_FORMATS[format].ext}`;
+  try {
+    if (format === "docx") downloadFile(filename, await docToDocx(doc));
+    if (format === "csv") downloadFile(filename, docToCsv(doc), "text/csv;charset=utf-8");
+    if (format === "md") downloadFile(filename, docToMarkdown(doc), "text/markdown;charset=utf-8");
+  } catch (err) {
+    console.error(err);
+    alert(`Export failed: ${err.message}`);
+  }
+}
+
+function renderModuleExport() {
+  const mod = getActiveModule();
+  if (!mod || !mod.outcomes.length) {
+    showInfo("Add learning outcomes to a module first; you can then export them with their levels and assessment mappings.");
+    return;
+  }
+
+  const items = mod.outcomes
+    .map(
+      (lo, i) => `
+      <div class="form-check">
+        <input class="form-check-input export-lo" type="checkbox" id="exp-${escapeHtml(lo.id)}" value="${escapeHtml(lo.id)}" checked />
+        <label class="form-check-label small" for="exp-${escapeHtml(lo.id)}"><span class="fw-semibold">LO${i + 1}.</span> ${escapeHtml(lo.text)}</label>
+      </div>
+    `
+    )
+    .join("");
+
+  $("#resultsArea").html(`
+    <div class="card mb-3">
+      <div class="card-header">Export learning outcomes: ${escapeHtml(mod.name)}</div>
+      <div class="card-body">
+        <div class="small text-muted mb-2">
+          Choose the outcomes to include. Each is exported with its Bloom level and the assessment formats it maps to
+          (the module's chosen assessments, if any), with rationale and design notes.
+        </div>
+        <div class="mb-3">${items}</div>
+        <div class="d-flex gap-2 align-items-center">
+          <span class="small fw-semibold">Export as</span>
+          ${exportButtonsHtml("export-module")}
+        </div>
+      </div>
+    </div>
+  `);
+
+  $(".export-module").on("click", function () {
+    const ids = $(".export-lo:checked")
+      .map((_, el) => String(el.value))
+      .get();
+    if (!ids.length) return;
+    exportDoc(moduleExportDoc(mod, ids), String($(this).data("export-format")));
+  });
+}
+
+// -------------------- Module design report (print) --------------------
+// Laid out for paper: print.css hides everything except #resultsArea and forces light colours.
+function renderModuleReport() {
+  const mod = getActiveModule();
+  if (!mod || !mod.outcomes.length) {
+    showInfo("Add learning outcomes to a module first; the report summarises them with their levels and assessments.");
+    return;
+  }
+
+  const ctx = qfContext(mod.nfqLevel, mod.frameworkId || APP.defaultFrameworkId);
+  const qualLabel = frameworkLevelLabel(mod.frameworkId, mod.nfqLevel);
+  const formats = APP.assessmentFormats.filter((f) => (mod.assessmentFormatIds || []).includes(f.id));
+
+  const loRows = mod.outcomes
+    .map((lo, i) => {
+      const v = getVerbById(lo.verbId);
+      const lvl = getLevelMetaById(lo.levelId);
+      return `
+        <tr>
+          <td class="fw-semibold">LO${i + 1}</td>
+          <td>${escapeHtml(lo.text)}</td>
+          <td>${lvl ? `<span class="badge report-swatch" style="background:${lvl.color}; color:#fff">${escapeHtml(lvl.name)}</span>` : ""}</td>
+          <td>${escapeHtml(v?.verb || "")}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  // One bar chart per taxonomy the outcomes use; empty levels stay visible as gaps
+  const counts = new Map();
+  for (const lo of mod.outcomes) counts.set(lo.levelId, (counts.get(lo.levelId) || 0) + 1);
+  const usedTaxonomyIds = new Set(mod.outcomes.map((lo) => getLevelMetaById(lo.levelId)?.taxonomyId).filter(Boolean));
+  const distribution = APP.taxonomies
+    .filter((t) => usedTaxonomyIds.has(t.id))
+    .map((t) => {
+      const bars = t.levels
+        .map((l) => {
+          const n = counts.get(l.id) || 0;
+          const pct = Math.round((n / mod.outcomes.length) * 100);
+          const focus = ctx && t.id === APP.homeTaxonomyId && ctx.focusIds.has(l.id);
+          return `
+            <tr>
+              <td class="small text-nowrap">${escapeHtml(l.name)}${focus ? ` <span class="small text-muted">(${escapeHtml(ctx.label)} focus)</span>` : ""}</td>
+              <td class="w-100">
+                <div class="report-bar report-swatch" style="width:${pct}%; background:${l.color}"></div>
+              </td>
+              <td class="small text-end text-nowrap">${n} (${pct}%)</td>
+            </tr>
+          `;
+        })
+        .join("");
+      return `
+        <div class="mb-2">
+          ${usedTaxonomyIds.size > 1 ? `<div class="small fw-semibold">${escapeHtml(t.name)}</div>` : ""}
+          <table class="table table-sm table-borderless mb-0 align-middle">${bars}</table>
+        </div>
+      `;
+    })
+    .join("");
+
+  const assessmentsHtml = formats.length
+    ? formats
+        .map((f) => {
+          const covered = mod.outcomes
+            .map((lo, i) => ({ n: `LO${i + 1}`, suit: getSuitability(getVerbById(lo.verbId), f.id) }))
+            .filter((x) => isWellCovered(x.suit));
+          return `
+            <div class="border rounded p-2 mb-2 report-block">
+              <div class="fw-semibold">${escapeHtml(f.name)} <span class="small text-muted">${escapeHtml(f.category || "")}</span></div>
+              <div class="row small mt-1">
+                <div class="col-6">
+                  <div><strong>Typical evidence:</strong> ${escapeHtml((f.typicalEvidence || []).join(", ") || "—")}</div>
+                  <div><strong>Marking load:</strong> ${escapeHtml(f.scalability?.markingLoad || "—")} · <strong>Setup load:</strong> ${escapeHtml(f.scalability?.setupLoad || "—")}</div>
+                  <div><strong>Evidences well:</strong> ${escapeHtml(covered.map((x) => x.n).join(", ") || "none of the outcomes")}</div>
+                </div>
+                <div class="col-6">
+                  <div><strong>AI risk:</strong> ${escapeHtml(f.aiRisk?.likelihood || "—")}</div>
+                  ${
+                    (f.aiRisk?.mitigations || []).length
+                      ? `<ul class="mb-0 ps-3">${f.aiRisk.mitigations.map((m) => `<li>${escapeHtml(m)}</li>`).join("")}</ul>`
+                      : ""
+                  }
+                </div>
+              </div>
+            </div>
+          `;
+        })
+        .join("")
+    : `<div class="small text-muted">No assessments chosen yet. Tick them in the alignment matrix.</div>`;
+
+  $("#resultsArea").html(`
+    <div id="moduleReport" class="card mb-3">
+      <div class="card-header d-flex justify-content-between align-items-center">
+        <span>Module design report</span>
+        <button id="printReportNowBtn" class="btn btn-sm btn-primary" type="button">Print</button>
+      </div>
+      <div class="card-body">
+        <h2 class="h4 mb-1">${escapeHtml(mod.name)}</h2>
+        <div class="small text-muted mb-3">${escapeHtml(qualLabel)} · ${mod.outcomes.length} learning outcome(s) · ${escapeHtml(new Date().toISOString().slice(0, 10))}</div>
+
+        <h3 class="h6">Learning outcomes</h3>
+        <table class="table table-sm table-bordered align-middle">
+          <thead><tr><th>#</th><th>Learning outcome</th><th>Level</th><th>Verb</th></tr></thead>
+          <tbody>${loRows}</tbody>
+        </table>
+
+        <h3 class="h6 mt-3">Level distribution</h3>
+        ${distribution}
+        ${renderModuleBalance(mod)}
+
+        <h3 class="h6 mt-3">Assessments</h3>
+        ${assessmentsHtml}
+
+        <div class="small text-muted mt-3 border-top pt-2">${escapeHtml(APP.disclaimer || "")}</div>
+      </div>
+    </div>
+  `);
+
+  $("#printReportNowBtn").on("click", () => window.print());
+}
+
+// -------------------- Bloom distribution dashboard --------------------
+// Charts are inline SVG built here (no chart service), so they also work offline and in print.
+let DASHBOARD_SOURCE = null; // () => dashboard args, so qualification changes can re-render it
+
+// rows: [{ label, value, color, valueLabel?, title?, band? }]; band shades the row (e.g. focus levels)
+function svgBarChart(rows, { ariaLabel = "", labelWidth = 150, width = 560, rowHeight = 24 } = {}) {
+  const max = Math.max(1, ...rows.map((r) => r.value));
+  const barArea = width - labelWidth - 70;
+  const body = rows
+    .map((r, i) => {
+      const y = i * rowHeight;
+      const w = r.value ? Math.max(2, (r.value / max) * barArea) : 0;
+      return `
+        <g>
+          ${r.band ? `<rect x="0" y="${y}" width="${width}" height="${rowHeight}" fill="#0d6efd" fill-opacity="0.1"></rect>` : ""}
+          <text x="${labelWidth - 8}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle" font-size="12" fill="currentColor">${escapeHtml(r.label)}</text>
+          <rect class="report-swatch" x="${labelWidth}" y="${y + 5}" width="${w}" height="${rowHeight - 10}" rx="2" fill="${r.color}">
+            <title>${escapeHtml(r.title || `${r.label}: ${r.valueLabel ?? r.value}`)}</title>
+          </rect>
+          <text x="${labelWidth + w + 6}" y="${y + rowHeight / 2}" dominant-baseline="middle" font-size="12" fill="currentColor">${escapeHtml(String(r.valueLabel ?? r.value))}</text>
+        </g>
+      `;
+    })
+    .join("");
+  return `<svg class="dash-chart" viewBox="0 0 ${width} ${rows.length * rowHeight}" width="100%" role="img" aria-label="${escapeHtml(ariaLabel)}">${body}</svg>`;
+}
+
+const STRENGTH_COLORS = { high: "#198754", medium: "#ffc107", low: "#fd7e14", "not set": "#C0C0C0" };
+
+// outcomes: [{ text, verbId, levelId }]
+function renderBloomDashboard({ title, outcomes, frameworkId, nfqLevel, formatIds = [] }) {
+  if (!outcomes.length) {
+    showInfo("There are no outcomes to chart yet.");
+    return;
+  }
+
+  const ctx = qfContext(nfqLevel, frameworkId || APP.defaultFrameworkId);
+  const n = outcomes.length;
+  const pct = (x) => `${x} (${Math.round((x / n) * 100)}%)`;
+  const bloomLevels = [...APP.bloomLevels].sort((a, b) => a.order - b.order);
+  const homeLevels = APP.allLevels.filter((l) => l.taxonomyId === APP.homeTaxonomyId).sort((a, b) => a.order - b.order);
+  const levelsForChart = APP.activeTaxonomyId === APP.homeTaxonomyId ? bloomLevels : homeLevels;
+
+  // Level distribution against the framework focus
+  const counts = new Map();
+  for (const lo of outcomes) counts.set(lo.levelId, (counts.get(lo.levelId) || 0) + 1);
+  const levelChart = svgBarChart(
+    levelsForChart.map((l) => ({
+      label: `${l.name}${ctx?.focusIds.has(l.id) ? " ★" : ""}`,
+      value: counts.get(l.id) || 0,
+      valueLabel: pct(counts.get(l.id) || 0),
+      color: l.color,
+      band: ctx?.focusIds.has(l.id),
+    })),
+    { ariaLabel: "Outcomes per Bloom level" }
+  );
+  const otherTaxonomy = outcomes.filter((lo) => !levelsForChart.some((l) => l.id === lo.levelId)).length;
+
+  const fits = outcomes.map((lo) => qfLevelFit(lo.levelId, ctx));
+  const fitChart = ctx
+    ? svgBarChart(
+        [
+          { label: "Below focus", value: fits.filter((f) => f === "below").length, color: "#adb5bd" },
+          { label: "In focus", value: fits.filter((f) => f === "focus").length, color: "#0d6efd" },
+          { label: "Above focus", value: fits.filter((f) => f === "above").length, color: "#6610f2" },
+          // Between focus levels, or in a taxonomy without a comparable order
+          { label: "Other", value: fits.filter((f) => !f).length, color: "#C0C0C0" },
+        ]
+          .filter((r) => r.value || r.label !== "Other")
+          .map((r) => ({ ...r, valueLabel: pct(r.value) })),
+        { ariaLabel: `Outcomes relative to the ${ctx.label} focus` }
+      )
+    : "";
+
+  // diagnosticStrength of the verbs the outcomes use
+  const strengths = new Map(Object.keys(STRENGTH_COLORS).map((k) => [k, 0]));
+  for (const lo of outcomes) {
+    const s = getVerbById(lo.verbId)?.diagnosticStrength || "not set";
+    strengths.set(s, (strengths.get(s) || 0) + 1);
+  }
+  const strengthChart = svgBarChart(
+    [...strengths].map(([k, v]) => ({ label: k, value: v, valueLabel: pct(v), color: STRENGTH_COLORS[k] || "#6c757d" })),
+    { ariaLabel: "Diagnostic strength of the outcome verbs" }
+  );
+
+  // Formats: how many outcomes each evidences well; chosen formats always shown, then the strongest others
+  const chosen = new Set(formatIds);
+  const formatRows = APP.assessmentFormats
+    .map((f) => ({ f, value: outcomes.filter((lo) => isWellCovered(getSuitability(getVerbById(lo.verbId), f.id))).length }))
+    .filter((x) => chosen.has(x.f.id) || x.value)
+    .sort((a, b) => chosen.has(b.f.id) - chosen.has(a.f.id) || b.value - a.value)
+    .slice(0, Math.max(8, chosen.size))
+    .map((x) => ({
+      label: `${x.f.name}${chosen.has(x.f.id) ? " ✓" : ""}`,
+      value: x.value,
+      valueLabel: pct(x.value),
+      color: chosen.has(x.f.id) ? "#198754" : "#8fd19e",
+      title: `${x.f.name}: evidences ${x.value} of ${n} outcomes well${chosen.has(x.f.id) ? " (chosen)" : ""}`,
+    }));
+  const formatChart = formatRows.length
+    ? svgBarChart(formatRows, { ariaLabel: "Outcomes each assessment format evidences well" })
+    : `<div class="text-muted small">None of the outcome verbs has a high or context-dependent format mapping yet.</div>`;
+
+  // Gaps
+  const gaps = [];
+  if (ctx) {
+    const top = getLevelMetaById(ctx.topLevelId);
+    const reachesTop = outcomes.some((lo) => {
+      const meta = getLevelMetaById(lo.levelId);
+      return meta?.taxonomyId === APP.homeTaxonomyId && meta.order >= ctx.topOrder;
+    });
+    if (!reachesTop) {
+      gaps.push(`No outcome at ${top?.name || ctx.topLevelId}, the highest level expected at ${ctx.label}.`);
+    }
+    const missingFocus = [...ctx.focusIds]
+      .filter((id) => !counts.has(id) && (reachesTop || id !== ctx.topLevelId))
+      .map((id) => getLevelMetaById(id)?.name || id);
+    if (missingFocus.length) gaps.push(`No outcome at ${ctx.label} focus level(s): ${missingFocus.join(", ")}.`);
+    const below = fits.filter((f) => f === "below").length;
+    if (below / n > 0.25) gaps.push(`${below} of ${n} outcomes sit below the ${ctx.label} focus (more than a quarter).`);
+  } else {
+    gaps.push("Choose a qualification level to compare the distribution with its expected focus.");
+  }
+  const weak = strengths.get("low") || 0;
+  if (weak) gaps.push(`${weak} outcome(s) use a verb with low diagnostic strength; consider a more precise verb.`);
+  const noLevel = outcomes.filter((lo) => !getLevelMetaById(lo.levelId)).length;
+  if (noLevel) gaps.push(`${noLevel} outcome(s) have no recognised level.`);
+  if (chosen.size) {
+    const uncovered = outcomes
+      .map((lo, i) => ({ i, ok: [...chosen].some((id) => isWellCovered(getSuitability(getVerbById(lo.verbId), id))) }))
+      .filter((x) => !x.ok)
+      .map((x) => `LO${x.i + 1}`);
+    if (uncovered.length) gaps.push(`Not evidenced well by any chosen format: ${uncovered.join(", ")}.`);
+  }
+
+  const focusNote = ctx
+    ? `★ marks the ${escapeHtml(ctx.label)} focus (${[...ctx.focusIds].map((id) => escapeHtml(getLevelMetaById(id)?.name || id)).join(", ")}).`
+    : "";
+
+  $("#resultsArea").html(`
+    <div class="card mb-3" data-dashboard="true">
+      <div class="card-header d-flex justify-content-between align-items-center">
+        <span>Bloom distribution: ${escapeHtml(title)}</span>
+        <span class="small text-muted">${n} outcome(s)${ctx ? ` · ${escapeHtml(ctx.label)}` : ""}</span>
+      </div>
+      <div class="card-body">
+        <div class="row g-4">
+          <div class="col-12 col-lg-6">
+            <h3 class="h6">Outcomes per level</h3>
+            ${levelChart}
+            <div class="small text-muted">${focusNote}${otherTaxonomy ? ` ${otherTaxonomy} outcome(s) use levels of another taxonomy and are not shown.` : ""}</div>
+          </div>
+          <div class="col-12 col-lg-6">
+            <h3 class="h6">Gaps and balance</h3>
+            ${
+              gaps.length
+                ? `<ul class="small mb-3 ps-3">${gaps.map((g) => `<li class="text-danger">${escapeHtml(g)}</li>`).join("")}</ul>`
+                : `<div class="small text-success mb-3">No gaps found against the expected focus.</div>`
+            }
+            ${ctx ? `<h3 class="h6">Against the ${escapeHtml(ctx.label)} focus</h3>${fitChart}` : ""}
+          </div>
+          <div class="col-12 col-lg-6">
+            <h3 class="h6">Diagnostic strength of the verbs</h3>
+            ${strengthChart}
+          </div>
+          <div class="col-12 col-lg-6">
+            <h3 class="h6">Assessment formats that evidence the outcomes well</h3>
+            ${formatChart}
+            ${chosen.size ? `<div class="small text-muted">✓ chosen for the module</div>` : ""}
+          </div>
+        </div>
+        <div class="text-muted small mt-3">${escapeHtml(APP.disclaimer || "")}</div>
+      </div>
+    </div>
+  `);
+}
+
+function renderModuleDashboard() {
+  const mod = getActiveModule();
+  if (!mod || !mod.outcomes.length) {
+    showInfo("Add learning outcomes to a module first; the dashboard charts their spread across levels.");
+    return;
+  }
+  DASHBOARD_SOURCE = () => {
+    const m = getActiveModule();
+    return m && { title: m.name, outcomes: m.outcomes, frameworkId: m.frameworkId, nfqLevel: m.nfqLevel, formatIds: m.assessmentFormatIds };
+  };
+  renderBloomDashboard(DASHBOARD_SOURCE());
+}
+
+// Analysed outcomes are charted at the highest level their verbs point to
+function renderAnalysisDashboard(results) {
+  DASHBOARD_SOURCE = () => ({
+    title: "analysed outcomes",
+    outcomes: results.map((r) => {
+      const verb = analysedTargetVerb(r);
+      return { text: r.text, verbId: verb?.id || null, levelId: verb?.primaryLevelId || null };
+    }),
+    frameworkId: currentFrameworkId(),
+    nfqLevel: $("#nfqSelect").val(),
+  });
+  renderBloomDashboard(DASHBOARD_SOURCE());
+}
+
+// -------------------- AI-risk review --------------------
+// Exposure for a verb/format pair prefers the mapping's own "ai-risk-*" tag over the format-wide likelihood.
+const RISK_LEVELS = ["low", "medium", "high"];
+const RISK_BADGE = { low: "bg-success", medium: "bg-warning text-dark", high: "bg-danger" };
+
+function pairAiRisk(verb, formatId) {
+  const mapping = (verb?.formatMappings || []).find((m) => m.assessmentFormatId === formatId);
+  const tag = (mapping?.tags || []).find((t) => /^ai-risk-/.test(t));
+  if (tag && RISK_LEVELS.includes(tag.slice(8))) return { level: tag.slice(8), source: "mapping" };
+  const fmt = APP.assessmentFormats.find((f) => f.id === formatId);
+  const level = fmt?.aiRisk?.likelihood;
+  return RISK_LEVELS.includes(level) ? { level, source: "format" } : { level: "", source: "" };
+}
+
+// Mean of LOAD_COST scores, rounded back onto low/medium/high
+function overallExposure(levels) {
+  const known = levels.filter((l) => RISK_LEVELS.includes(l));
+  if (!known.length) return "";
+  return RISK_LEVELS[Math.round(known.reduce((sum, l) => sum + LOAD_COST[l], 0) / known.length)];
+}
+
+function riskBadge(level, title = "") {
+  return level
+    ? `<span class="badge ${RISK_BADGE[level]}" ${title ? `title="${escapeHtml(title)}"` : ""}>${escapeHtml(level)}</span>`
+    : `<span class="badge bg-light text-dark border">unrated</span>`;
+}
+
+// Well-covered formats for the verb, lowest risk then best suitability first
+function lowerRiskFormats(verb, thanLevel) {
+  return (verb?.formatMappings || [])
+    .filter((m) => isWellCovered(m.suitability))
+    .map((m) => ({ m, risk: pairAiRisk(verb, m.assessmentFormatId).level }))
+    .filter(({ risk }) => risk && LOAD_COST[risk] < LOAD_COST[thanLevel])
+    .sort((a, b) => LOAD_COST[a.risk] - LOAD_COST[b.risk] || (SUITABILITY_SCORE[b.m.suitability] || 0) - (SUITABILITY_SCORE[a.m.suitability] || 0));
+}
+
+function mitigationsHtml(formatIds) {
+  const byMitigation = new Map();
+  for (const id of formatIds) {
+    const fmt = APP.assessmentFormats.find((f) => f.id === id);
+    for (const m of fmt?.aiRisk?.mitigations || []) {
+      if (!byMitigation.has(m)) byMitigation.set(m, []);
+      byMitigation.get(m).push(fmt.name);
+    }
+  }
+  if (!byMitigation.size) return `<div class="small text-muted">No mitigations recorded for these formats.</div>`;
+  return `<ul class="small mb-0 ps-3">${[...byMitigation]
+    .map(([m, names]) => `<li>${escapeHtml(m)} <span class="text-muted">(${escapeHtml(names.join(", "))})</span></li>`)
+    .join("")}</ul>`;
+}
+
+function aiReviewCard(title, exposure, summary, body) {
+  return `
+    <div class="card mb-3" data-ai-review>
+      <div class="card-header d-flex justify-content-between align-items-center">
+        <span>AI-risk review: ${escapeHtml(title)}</span>
+        <span>Overall exposure ${riskBadge(exposure)}</span>
+      </div>
+      <div class="card-body">
+        <p class="small mb-3">${summary}</p>
+        ${body}
+        <div class="text-muted small mt-3">
+          Risk comes from the mapping's ai-risk tag where present, otherwise the format's likelihood. ${escapeHtml(APP.disclaimer || "")}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function renderVerbAiReview(verbObj) {
+  const rows = (verbObj.formatMappings || [])
+    .map((m) => ({ m, risk: pairAiRisk(verbObj, m.assessmentFormatId) }))
+    .sort((a, b) => suitabilityRank(a.m.suitability) - suitabilityRank(b.m.suitability));
+  const good = rows.filter(({ m }) => isWellCovered(m.suitability));
+  const exposure = overallExposure(good.map(({ risk }) => risk.level));
+  const highest = good.reduce((top, { risk }) => (LOAD_COST[risk.level] > (LOAD_COST[top] ?? -1) ? risk.level : top), "");
+  const alternatives = highest ? lowerRiskFormats(verbObj, highest) : [];
+
+  const table = rows.length
+    ? `<div class="table-responsive"><table class="table table-sm align-middle">
+        <thead><tr><th>Format</th><th>Suitability</th><th>AI risk</th><th>Mitigations</th></tr></thead>
+        <tbody>${rows
+          .map(({ m, risk }) => {
+            const style = SUITABILITY_STYLES[m.suitability] || SUITABILITY_STYLES.unmapped;
+            const fmt = APP.assessmentFormats.find((f) => f.id === m.assessmentFormatId);
+            return `<tr>
+              <td class="small">${escapeHtml(m.formatName || m.assessmentFormatId)}</td>
+              <td><span class="badge" style="background:${style.bg}; color:${style.fg}">${escapeHtml(m.suitability || "—")}</span></td>
+              <td>${riskBadge(risk.level, risk.source === "mapping" ? "From this mapping's tag" : "Format-wide likelihood")}</td>
+              <td class="small">${escapeHtml((fmt?.aiRisk?.mitigations || []).join("; ") || "—")}</td>
+            </tr>`;
+          })
+          .join("")}</tbody></table></div>`
+    : `<div class="small text-muted">This entry has no format mappings.</div>`;
+
+  const altHtml = alternatives.length
+    ? `<h3 class="h6 mt-3">Lower-risk formats that still suit “${escapeHtml(verbObj.verb)}”</h3>
+      <ul class="small ps-3">${alternatives
+        .map(({ m, risk }) => `<li>${escapeHtml(m.formatName || m.assessmentFormatId)}: ${escapeHtml(m.suitability)}, AI risk ${escapeHtml(risk)}</li>`)
+        .join("")}</ul>`
+    : "";
+
+  $("#resultsArea").html(
+    aiReviewCard(
+      verbObj.verb,
+      exposure,
+      good.length
+        ? `Averaged over the ${good.length} format(s) rated high or context-dependent for this verb.`
+        : "No format is rated high or context-dependent for this verb, so exposure cannot be rated.",
+      `${table}${altHtml}
+      <h3 class="h6 mt-3">Mitigations for the well-suited formats</h3>
+      ${mitigationsHtml(good.map(({ m }) => m.assessmentFormatId))}
+      <button class="btn btn-sm btn-outline-secondary mt-3 ai-review-back">Back to verb details</button>`
+    )
+  );
+  $(".ai-review-back").on("click", () => selectVerbById(verbObj.id));
+}
+
+// An outcome is only as exposed as the safest module format that evidences it well
+function renderModuleAiReview() {
+  const mod = getActiveModule();
+  if (!mod || !mod.outcomes.length) {
+    showInfo("Add learning outcomes to a module first; the review rates their exposure across the module's formats.");
+    return;
+  }
+
+  const rows = mod.outcomes.map((lo, i) => {
+    const verb = getVerbById(lo.verbId);
+    const evidencing = mod.assessmentFormatIds
+      .filter((id) => isWellCovered(getSuitability(verb, id)))
+      .map((id) => ({ id, risk: pairAiRisk(verb, id).level }));
+    const safest = evidencing.reduce((low, { risk }) => (risk && (!low || LOAD_COST[risk] < LOAD_COST[low]) ? risk : low), "");
+    return { lo, i, verb, evidencing, exposure: safest, alternatives: safest ? lowerRiskFormats(verb, safest) : [] };
+  });
+  const exposure = overallExposure(rows.map((r) => r.exposure));
+  const exposed = rows.filter((r) => r.exposure && r.exposure !== "low").length;
+  const unevidenced = rows.filter((r) => !r.evidencing.length).length;
+
+  const body = rows
+    .map((r) => {
+      const evidence = r.evidencing.length
+        ? r.evidencing.map(({ id, risk }) => `${escapeHtml(APP.formatIdToName.get(id) || id)} ${riskBadge(risk)}`).join(" ")
+        : `<span class="text-muted">No module format suits this outcome at high or context-dependent level.</span>`;
+      const alts = r.alternatives.length
+        ? `<div class="small mt-1">Lower-risk options: ${r.alternatives
+            .map(
+              ({ m, risk }) =>
+                `<button class="btn btn-sm btn-link p-0 me-2 ai-add-format" data-format-id="${escapeHtml(m.assessmentFormatId)}" ${
+                  mod.assessmentFormatIds.includes(m.assessmentFormatId) ? "disabled" : ""
+                } title="Add to the module">${escapeHtml(m.formatName || m.assessmentFormatId)} (${escapeHtml(m.suitability)}, ${escapeHtml(risk)})</button>`
+            )
+            .join("")}</div>`
+        : "";
+      return `
+        <tr>
+          <td class="small text-nowrap">LO${r.i + 1}</td>
+          <td class="small">${escapeHtml(r.lo.text)}<div class="text-muted">${escapeHtml(r.verb?.verb || "no verb")}</div></td>
+          <td class="small">${evidence}${alts}</td>
+          <td>${r.evidencing.length ? riskBadge(r.exposure) : ""}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  $("#resultsArea").html(
+    aiReviewCard(
+      mod.name,
+      exposure,
+      `${exposed} of ${mod.outcomes.length} outcomes are evidenced only by medium- or high-risk formats${
+        unevidenced ? `; ${unevidenced} have no suitable module format yet` : ""
+      }.`,
+      `<div class="table-responsive"><table class="table table-sm align-middle">
+        <thead><tr><th></th><th>Outcome</th><th>Evidenced by</th><th>Exposure</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table></div>
+      <h3 class="h6 mt-3">Mitigations for the module's formats</h3>
+      ${mitigationsHtml(mod.assessmentFormatIds.filter((id) => LOAD_COST[APP.assessmentFormats.find((f) => f.id === id)?.aiRisk?.likelihood] > 0))}`
+    )
+  );
+  $(".ai-add-format").on("click", function () {
+    toggleModuleFormat(String($(this).data("format-id")), true);
+    renderModuleWorkspace();
+    renderModuleAiReview();
+  });
+}
+
+// -------------------- Taxonomy switcher --------------------
+const LEVEL_FACETS = ["bloomLevel", "primaryLevel", "alsoFitsLevels"];
+
+function initTaxonomySelect() {
+  const select = $("#taxonomySelect");
+  select.empty();
+  for (const t of APP.taxonomies) {
+    select.append(`<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`);
+  }
+  select.val(APP.activeTaxonomyId).toggleClass("d-none", APP.taxonomies.length < 2);
+
+  select.off("change").on("change", function () {
+    applyActiveTaxonomy(APP, String($(this).val()));
+    // Level filters name levels of the previous taxonomy
+    for (const facetId of LEVEL_FACETS) ACTIVE_FILTERS.delete(facetId);
+    writeFiltersToUrl();
+    renderFilterPanel();
+    refreshQfViews();
+  });
+}
+
+// -------------------- Qualification frameworks (NFQ, EQF, FHEQ, SCQF) --------------------
+function getFramework(frameworkId) {
+  return APP.frameworks.find((fw) => fw.id === frameworkId) || null;
+}
+
+function getFrameworkLevel(frameworkId, levelId) {
+  return getFramework(frameworkId)?.levels.find((l) => l.id === String(levelId)) || null;
+}
+
+function currentFrameworkId() {
+  return $("#frameworkSelect").val() || APP.defaultFrameworkId;
+}
+
+function frameworkLevelLabel(frameworkId, levelId) {
+  if (!levelId) return "no level set";
+  return getFrameworkLevel(frameworkId, levelId)?.label || `${getFramework(frameworkId)?.shortLabel || ""} ${levelId}`.trim();
+}
+
+// Levels are compared through a common basis (the EQF by default): each level names its basis equivalent.
+function basisLevelOf(frameworkId, levelId) {
+  if (frameworkId === APP.equivalenceBasis) return String(levelId);
+  return getFrameworkLevel(frameworkId, levelId)?.equivalents?.[APP.equivalenceBasis] || null;
+}
+
+function equivalentLevels(frameworkId, levelId) {
+  const basis = basisLevelOf(frameworkId, levelId);
+  if (!basis) return [];
+  return APP.frameworks
+    .filter((fw) => fw.id !== frameworkId)
+    .flatMap((fw) => fw.levels.filter((l) => basisLevelOf(fw.id, l.id) === basis).map((l) => ({ framework: fw, level: l })));
+}
+
+function populateFrameworkSelects(frameworkId, levelId = "") {
+  const fwSelect = $("#frameworkSelect");
+  fwSelect.empty();
+  for (const fw of APP.frameworks) {
+    fwSelect.append(`<option value="${escapeHtml(fw.id)}">${escapeHtml(fw.shortLabel)} — ${escapeHtml(fw.name)}</option>`);
+  }
+  fwSelect.val(getFramework(frameworkId) ? frameworkId : APP.defaultFrameworkId);
+
+  const levelSelect = $("#nfqSelect");
+  levelSelect.empty();
+  levelSelect.append(`<option value="">-- choose --</option>`);
+  for (const l of getFramework(currentFrameworkId())?.levels || []) {
+    levelSelect.append(`<option value="${escapeHtml(l.id)}">${escapeHtml(l.label)}</option>`);
+  }
+  levelSelect.val(getFrameworkLevel(currentFrameworkId(), levelId) ? String(levelId) : "");
+}
+
+function renderQfTips(level, frameworkId = currentFrameworkId()) {
+  const target = document.getElementById("nfqTipsArea");
+  if (!target) return;
+
+  if (!APP.frameworks.length) {
+    target.innerHTML = `<div class="text-muted small">This dataset does not define any qualification frameworks.</div>`;
+    return;
+  }
+
+  const data = getFrameworkLevel(frameworkId, level);
+  if (!data) {
+    target.innerHTML = `<div class="text-muted small">Select a level above to see guidance.</div>`;
+    return;
+  }
+
+  const focusBadges = data.focus
+    .map((f) => {
+      const meta = getLevelMetaById(f.levelId);
+      const text = `${meta?.name || f.levelId}${f.note ? ` (${f.note})` : ""}`;
+      return `<span class="badge me-1 mb-1" style="background-color:${meta?.color || "#6c757d"}; color:#fff">${escapeHtml(text)}</span>`;
+    })
+    .join("");
+
+  const characteristics = data.characteristics.map((x) => `<li class="small">${escapeHtml(x)}</li>`).join("");
+  const tips = data.tips.map((x) => `<li class="small">${escapeHtml(x)}</li>`).join("");
+
+  const equivalents = equivalentLevels(frameworkId, level);
+  const equivalentsHtml = equivalents.length
+    ? `<div class="small text-muted mb-2" title="${escapeHtml(APP.frameworkNote)}">
+        ≈ ${equivalents.map((e) => escapeHtml(e.level.label)).join(" · ")}
+      </div>`
+    : "";
+
+  target.innerHTML = `
+    <div class="mb-2">
+      <h6 class="mb-2">${escapeHtml(data.title)}</h6>
+      ${equivalentsHtml}
+      <div class="mb-2">${focusBadges}</div>
+    </div>
+
+    <div class="mb-3">
+      <strong class="small d-block mb-2">Key characteristics:</strong>
+      <ul class="mb-2 ps-3">${characteristics}</ul>
+    </div>
+
+    <div>
+      <strong class="small d-block mb-2">Practical tips:</strong>
+      <ul class="ps-3">${tips}</ul>
+    </div>
+  `;
+}
+
+function qfContext(level = $("#nfqSelect").val(), frameworkId = currentFrameworkId()) {
+  const data = getFrameworkLevel(frameworkId, level);
+  const focusIds = (data?.focus || []).map((f) => f.levelId);
+  if (!focusIds.length) return null;
+  const orders = focusIds.map((id) => getLevelMetaById(id)?.order ?? 999);
+  return {
+    level,
+    label: data.label,
+    title: data.title,
+    focusIds: new Set(focusIds),
+    floorOrder: Math.min(...orders),
+    topOrder: Math.max(...orders),
+    topLevelId: focusIds[orders.indexOf(Math.max(...orders))],
+  };
+}
+
+// "focus" | "below" | "above" | "" relative to the selected qualification level
+function qfLevelFit(levelId, ctx = qfContext()) {
+  const meta = getLevelMetaById(levelId);
+  // Framework focus levels are Bloom levels; other taxonomies have no comparable order
+  if (!ctx || !meta || meta.taxonomyId !== APP.homeTaxonomyId) return "";
+  const order = meta.order;
+  if (ctx.focusIds.has(levelId)) return "focus";
+  if (order < ctx.floorOrder) return "below";
+  if (order > ctx.topOrder) return "above";
+  return "";
+}
+
+function qfLevelClass(levelId) {
+  const fit = qfLevelFit(levelId);
+  return fit === "focus" || fit === "below" ? `qf-${fit}` : "";
+}
+
+function qfLevelBadge(levelId) {
+  const ctx = qfContext();
+  const fit = qfLevelFit(levelId, ctx);
+  if (fit === "focus") return `<span class="badge bg-primary ms-auto me-2">${escapeHtml(ctx.label)} focus</span>`;
+  if (fit === "below") return `<span class="badge bg-light text-dark ms-auto me-2">below ${escapeHtml(ctx.label)}</span>`;
+  return "";
+}
+
+function qfVerbNoteHtml(verbObj, selectedLevelId) {
+  const ctx = qfContext();
+  if (!ctx) return "";
+
+  const levelId = selectedLevelId || verbObj.primaryLevelId;
+  const lvl = getLevelMetaById(levelId);
+  const fit = qfLevelFit(levelId, ctx);
+  const title = escapeHtml(ctx.title);
+  const higher = (verbObj.levelIds || []).filter((id) => qfLevelFit(id, ctx) === "focus");
+
+  if (fit === "below") {
+    const alt = higher.length
+      ? ` This verb also fits ${higher.map((id) => escapeHtml(getLevelMetaById(id)?.name || id)).join(", ")}; frame the outcome at that level instead.`
+      : " Consider a verb from the focus levels, or frame this outcome explicitly as a prerequisite.";
+    return `<div class="alert alert-warning small mb-3">
+      <strong>Below the expected level:</strong> “${escapeHtml(verbObj.verb)}” at ${escapeHtml(lvl?.name || levelId)} sits below the
+      focus for ${title}.${alt}
+    </div>`;
+  }
+  if (fit === "focus") {
+    return `<div class="alert alert-success small mb-3">
+      “${escapeHtml(verbObj.verb)}” at ${escapeHtml(lvl?.name || levelId)} matches the focus for ${title}.
+    </div>`;
+  }
+  if (fit === "above") {
+    return `<div class="alert alert-info small mb-3">
+      ${escapeHtml(lvl?.name || levelId)} is above the usual focus for ${title}; make sure the module supports this demand.
+    </div>`;
+  }
+  return "";
+}
+
+// Module outcomes against the level's expectations: share below the focus and reach to the top focus level.
+function renderModuleBalance(mod) {
+  const ctx = qfContext(mod?.nfqLevel, mod?.frameworkId || APP.defaultFrameworkId);
+  if (!ctx || !mod.outcomes.length) return "";
+
+  const counts = new Map();
+  for (const lo of mod.outcomes) counts.set(lo.levelId, (counts.get(lo.levelId) || 0) + 1);
+  const countBadges = APP.allLevels
+    .filter((l) => counts.has(l.id))
+    .sort((a, b) => a.order - b.order)
+    .map((l) => `<span class="badge me-1" style="background:${l.color}; color:#fff">${escapeHtml(l.name)} × ${counts.get(l.id)}</span>`)
+    .join("");
+
+  const fits = mod.outcomes.map((lo) => qfLevelFit(lo.levelId, ctx));
+  const below = fits.filter((f) => f === "below").length;
+  const inFocus = fits.filter((f) => f === "focus").length;
+  const top = getLevelMetaById(ctx.topLevelId);
+
+  const warnings = [];
+  if (below && below / mod.outcomes.length > 0.25) {
+    warnings.push(`${below} of ${mod.outcomes.length} outcomes sit below the ${ctx.label} focus.`);
+  }
+  // Orders only compare within the home taxonomy the qualification focus refers to
+  const reachesTop = mod.outcomes.some((lo) => {
+    const meta = getLevelMetaById(lo.levelId);
+    return meta?.taxonomyId === APP.homeTaxonomyId && meta.order >= ctx.topOrder;
+  });
+  if (!reachesTop) {
+    warnings.push(`No outcome reaches ${top?.name || ctx.topLevelId}, the highest level expected at ${ctx.label}.`);
+  }
+
+  return `
+    <div class="border rounded p-2 mb-2 small">
+      <div class="mb-1"><strong>${escapeHtml(ctx.label)} balance:</strong> ${inFocus} of ${mod.outcomes.length} outcomes in focus levels. ${countBadges}</div>
+      ${
+        warnings.length
+          ? warnings.map((w) => `<div class="text-danger">⚠ ${escapeHtml(w)}</div>`).join("")
+          : `<div class="text-success">Outcomes are in line with the level's expectations.</div>`
+      }
+    </div>
+  `;
+}
+
+// Re-render every view that reacts to the selected qualification level.
+function refreshQfViews() {
+  renderBloomHierarchy();
+  renderModuleWorkspace();
+
+  const verbView = $("#resultsArea [data-verb-view]");
+  if (verbView.length) {
+    const v = getVerbById(String(verbView.data("verb-view")));
+    if (v) renderVerbDetails(v, { selectedLevelId: String(verbView.data("level-id") || "") || null });
+  }
+  const assessmentView = $("#resultsArea [data-assessment-view]");
+  if (assessmentView.length) renderVerbsForAssessment(String(assessmentView.data("assessment-view")));
+  const dashboardArgs = $("#resultsArea [data-dashboard]").length && DASHBOARD_SOURCE?.();
+  if (dashboardArgs) renderBloomDashboard(dashboardArgs);
+}
+
+function initQfGuidance() {
+  const sel = document.getElementById("nfqSelect");
+  if (!sel) return;
+
+  populateFrameworkSelects(APP.defaultFrameworkId);
+
+  // The framework and level are properties of the module being designed
+  const storeOnModule = () => {
+    const mod = getActiveModule();
+    if (mod) {
+      mod.frameworkId = currentFrameworkId();
+      mod.nfqLevel = sel.value;
+      saveModuleStore();
+    }
+  };
+
+  $("#frameworkSelect").off("change").on("change", function () {
+    const previous = { frameworkId: $(this).data("previous"), level: sel.value };
+    // Carry the chosen level across to the nearest equivalent in the new framework
+    const match = previous.level
+      ? equivalentLevels(previous.frameworkId, previous.level).find((e) => e.framework.id === $(this).val())
+      : null;
+    populateFrameworkSelects($(this).val(), match?.level.id || "");
+    $(this).data("previous", currentFrameworkId());
+    renderQfTips(sel.value);
+    storeOnModule();
+    refreshQfViews();
+    syncUrl("replace");
+  });
+  $("#frameworkSelect").data("previous", currentFrameworkId());
+
+  sel.addEventListener("change", () => {
+    renderQfTips(sel.value);
+    storeOnModule();
+    refreshQfViews();
+    syncUrl("replace");
+  });
+  renderQfTips(sel.value);
+}
+
+function applyModuleQualification(mod) {
+  populateFrameworkSelects(mod.frameworkId || APP.defaultFrameworkId, mod.nfqLevel || "");
+  $("#frameworkSelect").data("previous", currentFrameworkId());
+  renderQfTips($("#nfqSelect").val());
+  syncUrl("replace");
+}
+
+// -------------------- Dataset editor (authoring mode) --------------------
+// Edits are applied to RAW in this browser session; "Download verbs.json" writes them out
+// with meta.updated bumped and a meta.changelog entry describing the session's changes.
+const EDIT_LOG = []; // human-readable changes since load (pre-fills the changelog entry)
+const LOAD_VALUES = ["low", "medium", "high"];
+
+function linesOf(text) {
+  return String(text || "")
+    .split("\n")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function commaListOf(text) {
+  return String(text || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function cloneJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function rawBloomLevels() {
+  return RAW?.taxonomies?.bloom?.levels || [];
+}
+
+function optionsHtml(values, selected, { blank = null } = {}) {
+  const blankOption = blank !== null ? `<option value="">${escapeHtml(blank)}</option>` : "";
+  return (
+    blankOption +
+    values
+      .map((v) => {
+        const [value, label] = Array.isArray(v) ? v : [v, v];
+        return `<option value="${escapeHtml(value)}" ${value === selected ? "selected" : ""}>${escapeHtml(label)}</option>`;
+      })
+      .join("")
+  );
+}
+
+// Re-adapt after RAW changes, keeping the active taxonomy and refreshing dependent views
+function refreshDataset() {
+  const taxonomyId = APP?.activeTaxonomyId;
+  APP = buildApp();
+  if (taxonomyId && APP.taxonomies.some((t) => t.id === taxonomyId)) applyActiveTaxonomy(APP, taxonomyId);
+
+  updateDataCheckBadge();
+  populateAssessmentSelect();
+  renderFilterPanel();
+  renderBloomHierarchy();
+  renderModuleWorkspace();
+}
+
+// Dataset entries plus migrated legacy entries not yet saved into the dataset
+function editableVerbs() {
+  const ids = new Set((RAW.verbs || []).map((v) => v.id));
+  return [...(RAW.verbs || []), ...LEGACY_LAYER.verbs.filter((v) => !ids.has(v.id))];
+}
+
+function populateEditorSelects() {
+  const verbs = editableVerbs().sort((a, b) => String(a.verb).localeCompare(String(b.verb)) || a.id.localeCompare(b.id));
+  $("#editVerbSelect").html(
+    optionsHtml([["__new", "+ New verb entry"], ...verbs.map((v) => [v.id, `${v.verb} (${v.id})${v.migratedFrom ? " — legacy" : ""}`])], "", {
+      blank: "Choose a verb entry…",
+    })
+  );
+
+  const formats = RAW.assessmentFormats || [];
+  $("#editFormatSelect").html(
+    optionsHtml([["__new", "+ New assessment format"], ...formats.map((f) => [f.id, f.label || f.id])], "", {
+      blank: "Choose an assessment format…",
+    })
+  );
+
+  $("#editChangeCount").text(EDIT_LOG.length ? `${EDIT_LOG.length} unsaved change(s)` : "No changes yet");
+}
+
+// Issues for one entry, checked against the whole dataset as it would be after saving
+function editorIssues(listKey, entry, originalId) {
+  const list = RAW[listKey] || [];
+  const candidateList = originalId ? list.map((x) => (x.id === originalId ? entry : x)) : [...list, entry];
+  const index = candidateList.indexOf(entry);
+  const ownPath = `${listKey}[${index}]`;
+
+  const issues = validateDataset({ ...RAW, [listKey]: candidateList }).filter(
+    (x) => x.path === ownPath || x.path.startsWith(`${ownPath}.`) || (x.entryId && x.entryId === entry.id)
+  );
+
+  const nameKey = listKey === "verbs" ? "verb" : "label";
+  if (!String(entry[nameKey] || "").trim()) {
+    issues.unshift({ severity: "error", entryId: entry.id, path: `${ownPath}.${nameKey}`, problem: "A name is required." });
+  }
+  return issues;
+}
+
+function renderEditorIssues(issues) {
+  const errors = issues.filter((x) => x.severity === "error").length;
+  $("#edSave").prop("disabled", errors > 0);
+
+  if (!issues.length) {
+    $("#edIssues").html(`<div class="alert alert-success py-2 small mb-0">Passes the dataset's validation rules.</div>`);
+    return;
+  }
+  $("#edIssues").html(`
+    <div class="alert ${errors ? "alert-danger" : "alert-warning"} py-2 small mb-0">
+      <ul class="mb-0 ps-3">
+        ${issues.map((x) => `<li><code>${escapeHtml(x.path)}</code>: ${escapeHtml(x.problem)}</li>`).join("")}
+      </ul>
+    </div>
+  `);
+}
+
+function taskIdeaRowHtml(t = {}) {
+  return `
+    <div class="border rounded p-2 mb-2 ed-task">
+      <div class="d-flex gap-2 mb-1">
+        <input class="form-control form-control-sm ed-task-title" placeholder="Title" value="${escapeHtml(t.title || "")}" />
+        <button class="btn btn-sm btn-outline-secondary ed-remove-row" type="button" title="Remove">✕</button>
+      </div>
+      <textarea class="form-control form-control-sm mb-1 ed-task-desc" rows="2" placeholder="Description">${escapeHtml(t.description || "")}</textarea>
+      <input class="form-control form-control-sm ed-task-evidence" placeholder="Evidence produced (comma-separated)"
+        value="${escapeHtml((t.evidenceProduced || []).join(", "))}" />
+    </div>
+  `;
+}
+
+function formatMappingRowHtml(m = {}, originalIndex = "") {
+  const formatId = m.assessmentFormatId || m.formatId || "";
+  const formats = (RAW.assessmentFormats || []).map((f) => [f.id, f.label || f.id]);
+  const suitabilityValues = RAW.validationRules?.allowedSuitabilityValues || Object.keys(SUITABILITY_RANK);
+  return `
+    <div class="border rounded p-2 mb-2 ed-mapping" data-original-index="${escapeHtml(String(originalIndex))}">
+      <div class="d-flex gap-2 mb-1">
+        <select class="form-select form-select-sm ed-map-format">${optionsHtml(formats, formatId, { blank: "Format…" })}</select>
+        <select class="form-select form-select-sm w-auto ed-map-suitability">${optionsHtml(suitabilityValues, m.suitability || "", { blank: "Suitability…" })}</select>
+        <button class="btn btn-sm btn-outline-secondary ed-remove-row" type="button" title="Remove">✕</button>
+      </div>
+      <textarea class="form-control form-control-sm mb-1 ed-map-rationale" rows="2" placeholder="Rationale">${escapeHtml(m.rationale || m.notes || "")}</textarea>
+      <textarea class="form-control form-control-sm ed-map-notes" rows="2" placeholder="Design notes (one per line)">${escapeHtml((m.designNotes || []).join("\n"))}</textarea>
+    </div>
+  `;
+}
+
+function renderVerbEditor(verbId) {
+  const original = editableVerbs().find((v) => v.id === verbId) || null;
+  // A legacy entry becomes a dataset entry when saved
+  const inDataset = !!original && (RAW.verbs || []).includes(original);
+  const levels = rawBloomLevels();
+  const v = original || { verb: "", primaryLevelId: levels[0]?.id || "", alsoFitsLevelIds: [] };
+  const meaning = typeof v.meaning === "string" ? { short: v.meaning, expanded: "" } : v.meaning || {};
+  const strengthValues = RAW.validationRules?.allowedDiagnosticStrengthValues || LOAD_VALUES;
+  const levelOptions = levels.map((l) => [l.id, l.label || l.id]);
+
+  const alsoFits = levels
+    .map(
+      (l) => `
+      <div class="form-check form-check-inline">
+        <input class="form-check-input ed-also-fits" type="checkbox" id="ed-also-${escapeHtml(l.id)}" value="${escapeHtml(l.id)}"
+          ${(v.alsoFitsLevelIds || []).includes(l.id) ? "checked" : ""} />
+        <label class="form-check-label small" for="ed-also-${escapeHtml(l.id)}">${escapeHtml(l.label || l.id)}</label>
+      </div>`
+    )
+    .join("");
+
+  const perLevel = levels
+    .map(
+      (l) => `
+      <div class="col-12 col-md-6">
+        <div class="border rounded p-2 h-100">
+          <div class="fw-semibold small mb-1">${escapeHtml(l.label || l.id)}</div>
+          <textarea class="form-control form-control-sm mb-1 ed-level-stems" data-level-id="${escapeHtml(l.id)}" rows="2"
+            placeholder="Stems at this level (one per line)">${escapeHtml((v.stemsByLevel?.[l.id] || []).join("\n"))}</textarea>
+          <input class="form-control form-control-sm ed-level-guidance" data-level-id="${escapeHtml(l.id)}"
+            placeholder="Level guidance" value="${escapeHtml(v.levelGuidance?.[l.id] || "")}" />
+        </div>
+      </div>`
+    )
+    .join("");
+
+  $("#resultsArea").html(`
+    <div class="card mb-3" id="verbEditor">
+      <div class="card-header">${original ? `Edit verb entry: ${escapeHtml(original.id)}` : "New verb entry"}</div>
+      <div class="card-body">
+        ${
+          original?.migratedFrom
+            ? `<div class="alert alert-secondary small py-2">Migrated from <code>${escapeHtml(original.migratedFrom)}</code>.
+                Saving adds it to verbs.json, so it must then meet the dataset's validation rules.</div>`
+            : ""
+        }
+        <div class="row g-2 mb-3">
+          <div class="col-12 col-md-4">
+            <label class="form-label small mb-0" for="edVerb">Verb</label>
+            <input id="edVerb" class="form-control form-control-sm" value="${escapeHtml(v.verb || "")}" />
+          </div>
+          <div class="col-6 col-md-4">
+            <label class="form-label small mb-0" for="edPrimaryLevel">Primary Bloom level</label>
+            <select id="edPrimaryLevel" class="form-select form-select-sm">${optionsHtml(levelOptions, v.primaryLevelId)}</select>
+          </div>
+          <div class="col-6 col-md-4">
+            <label class="form-label small mb-0" for="edStrength">Diagnostic strength</label>
+            <select id="edStrength" class="form-select form-select-sm">${optionsHtml(strengthValues, v.diagnosticStrength || "", { blank: "—" })}</select>
+          </div>
+          <div class="col-12">
+            <span class="form-label small d-block mb-0">Also fits</span>
+            ${alsoFits}
+          </div>
+          <div class="col-12 small text-muted">Entry id: <code id="edId">${escapeHtml(v.id || "")}</code></div>
+        </div>
+
+        <div class="row g-2 mb-3">
+          <div class="col-12 col-md-6">
+            <label class="form-label small mb-0" for="edMeaningShort">Meaning (short)</label>
+            <input id="edMeaningShort" class="form-control form-control-sm" value="${escapeHtml(meaning.short || "")}" />
+          </div>
+          <div class="col-12 col-md-6">
+            <label class="form-label small mb-0" for="edSynonyms">Synonyms (comma-separated)</label>
+            <input id="edSynonyms" class="form-control form-control-sm" value="${escapeHtml((v.synonyms || []).join(", "))}" />
+          </div>
+          <div class="col-12">
+            <label class="form-label small mb-0" for="edMeaningExpanded">Meaning (expanded)</label>
+            <textarea id="edMeaningExpanded" class="form-control form-control-sm" rows="2">${escapeHtml(meaning.expanded || "")}</textarea>
+          </div>
+          <div class="col-12">
+            <label class="form-label small mb-0" for="edStems">Learning outcome stems (one per line; mark gaps as {placeholders})</label>
+            <textarea id="edStems" class="form-control form-control-sm" rows="3">${escapeHtml((v.learningOutcomeStems || []).join("\n"))}</textarea>
+          </div>
+        </div>
+
+        <div class="fw-semibold small mb-1">Stems and guidance by level</div>
+        <div class="row g-2 mb-3">${perLevel}</div>
+
+        <div class="row g-3 mb-3">
+          <div class="col-12 col-lg-6">
+            <div class="d-flex justify-content-between align-items-center mb-1">
+              <span class="fw-semibold small">Task ideas</span>
+              <button id="edAddTask" class="btn btn-sm btn-outline-primary" type="button">Add task idea</button>
+            </div>
+            <div id="edTasks">${(v.taskIdeas || []).map((t) => taskIdeaRowHtml(t)).join("")}</div>
+          </div>
+          <div class="col-12 col-lg-6">
+            <div class="d-flex justify-content-between align-items-center mb-1">
+              <span class="fw-semibold small">Format mappings</span>
+              <button id="edAddMapping" class="btn btn-sm btn-outline-primary" type="button">Add mapping</button>
+            </div>
+            <div id="edMappings">${(v.formatMappings || []).map((m, i) => formatMappingRowHtml(m, i)).join("")}</div>
+          </div>
+        </div>
+
+        <div id="edIssues" class="mb-3"></div>
+        <div class="d-flex gap-2">
+          <button id="edSave" class="btn btn-primary" type="button">${original ? "Save changes" : "Add verb entry"}</button>
+          ${original ? `<button id="edView" class="btn btn-outline-secondary" type="button">View entry</button>` : ""}
+        </div>
+      </div>
+    </div>
+  `);
+
+  const readForm = () => {
+    const entry = original ? cloneJson(original) : {};
+    delete entry.migratedFrom;
+    const verb = String($("#edVerb").val() || "").trim();
+    const primaryLevelId = String($("#edPrimaryLevel").val() || "");
+
+    if (!original) {
+      entry.id = `${primaryLevelId}-${slugify(verb)}`;
+      // Levels below are Bloom levels, so a new entry belongs to the Bloom taxonomy; existing entries keep theirs
+      entry.taxonomyId = RAW.taxonomies?.bloom?.id;
+    }
+    entry.verb = verb;
+    entry.primaryLevelId = primaryLevelId;
+    entry.alsoFitsLevelIds = $(".ed-also-fits:checked")
+      .map((_, el) => String(el.value))
+      .get()
+      .filter((id) => id !== primaryLevelId);
+    entry.meaning = { short: String($("#edMeaningShort").val() || "").trim(), expanded: String($("#edMeaningExpanded").val() || "").trim() };
+    entry.synonyms = commaListOf($("#edSynonyms").val());
+    entry.learningOutcomeStems = linesOf($("#edStems").val());
+
+    const strength = String($("#edStrength").val() || "");
+    if (strength) entry.diagnosticStrength = strength;
+    else delete entry.diagnosticStrength;
+
+    const stemsByLevel = {};
+    $(".ed-level-stems").each((_, el) => {
+      const stems = linesOf(el.value);
+      if (stems.length) stemsByLevel[$(el).data("level-id")] = stems;
+    });
+    const levelGuidance = {};
+    $(".ed-level-guidance").each((_, el) => {
+      const text = String(el.value || "").trim();
+      if (text) levelGuidance[$(el).data("level-id")] = text;
+    });
+    if (Object.keys(stemsByLevel).length || entry.stemsByLevel) entry.stemsByLevel = stemsByLevel;
+    if (Object.keys(levelGuidance).length || entry.levelGuidance) entry.levelGuidance = levelGuidance;
+
+    entry.taskIdeas = $("#edTasks .ed-task")
+      .map((_, el) => ({
+        title: String($(el).find(".ed-task-title").val() || "").trim(),
+        description: String($(el).find(".ed-task-desc").val() || "").trim(),
+        evidenceProduced: commaListOf($(el).find(".ed-task-evidence").val()),
+      }))
+      .get()
+      .filter((t) => t.title || t.description);
+
+    // Mappings keep any fields the editor does not show (taskExamples, tags, …)
+    entry.formatMappings = $("#edMappings .ed-mapping")
+      .map((_, el) => {
+        const idx = String($(el).data("original-index"));
+        const base = idx !== "" && original?.formatMappings?.[Number(idx)] ? cloneJson(original.formatMappings[Number(idx)]) : {};
+        const formatId = String($(el).find(".ed-map-format").val() || "");
+        const rationale = String($(el).find(".ed-map-rationale").val() || "").trim();
+        base.assessmentFormatId = formatId;
+        base.formatId = formatId;
+        base.suitability = String($(el).find(".ed-map-suitability").val() || "");
+        base.rationale = rationale;
+        base.designNotes = linesOf($(el).find(".ed-map-notes").val());
+        if ("notes" in base) base.notes = rationale;
+        return base;
+      })
+      .get();
+
+    return entry;
+  };
+
+  const validate = () => {
+    const entry = readForm();
+    $("#edId").text(entry.id);
+    renderEditorIssues(editorIssues("verbs", entry, inDataset ? original.id : null));
+    return entry;
+  };
+
+  $("#verbEditor").on("input change", "input, textarea, select", validate);
+  $("#verbEditor").on("click", ".ed-remove-row", function () {
+    $(this).closest(".ed-task, .ed-mapping").remove();
+    validate();
+  });
+  $("#edAddTask").on("click", () => {
+    $("#edTasks").append(taskIdeaRowHtml());
+    validate();
+  });
+  $("#edAddMapping").on("click", () => {
+    $("#edMappings").append(formatMappingRowHtml());
+    validate();
+  });
+  $("#edView").on("click", () => selectVerbById(original.id, { switchToLO: true }));
+
+  $("#edSave").on("click", () => {
+    const entry = validate();
+    if ($("#edSave").prop("disabled")) return;
+
+    if (inDataset) RAW.verbs[RAW.verbs.indexOf(original)] = entry;
+    else RAW.verbs.push(entry);
+    EDIT_LOG.push(
+      `${inDataset ? "Updated" : "Added"} verb entry ${entry.id}${original?.migratedFrom ? ` (migrated from ${original.migratedFrom})` : ""}.`
+    );
+
+    refreshDataset();
+    populateEditorSelects();
+    $("#editVerbSelect").val(entry.id);
+    renderVerbEditor(entry.id);
+    $("#edIssues").prepend(`<div class="alert alert-success py-2 small mb-2">Saved. Download verbs.json to keep your changes.</div>`);
+  });
+
+  validate();
+}
+
+function renderFormatEditor(formatId) {
+  const original = (RAW.assessmentFormats || []).find((f) => f.id === formatId) || null;
+  const f = original || { label: "", category: "", typicalEvidence: [], scalability: {}, aiRisk: {} };
+  const categories = [...new Set((RAW.assessmentFormats || []).map((x) => x.category).filter(Boolean))].sort();
 
   $("#resultsArea").html(`
-    <div class="mb-3">
-      <div class="alert alert-secondary mb-3">${escapeHtml(APP.disclaimer || "")}</div>
-      <div class="accordion" id="${accordionId}">
-        ${items}
+    <div class="card mb-3" id="formatEditor">
+      <div class="card-header">${original ? `Edit assessment format: ${escapeHtml(original.id)}` : "New assessment format"}</div>
+      <div class="card-body">
+        <div class="row g-2 mb-3">
+          <div class="col-12 col-md-6">
+            <label class="form-label small mb-0" for="edFormatLabel">Label</label>
+            <input id="edFormatLabel" class="form-control form-control-sm" value="${escapeHtml(f.label || "")}" />
+          </div>
+          <div class="col-12 col-md-6">
+            <label class="form-label small mb-0" for="edFormatCategory">Category</label>
+            <input id="edFormatCategory" class="form-control form-control-sm" list="edCategoryList" value="${escapeHtml(f.category || "")}" />
+            <datalist id="edCategoryList">${categories.map((c) => `<option value="${escapeHtml(c)}"></option>`).join("")}</datalist>
+          </div>
+          <div class="col-12 small text-muted">Format id: <code id="edId">${escapeHtml(f.id || "")}</code></div>
+          <div class="col-12">
+            <label class="form-label small mb-0" for="edEvidence">Typical evidence (one per line)</label>
+            <textarea id="edEvidence" class="form-control form-control-sm" rows="3">${escapeHtml((f.typicalEvidence || []).join("\n"))}</textarea>
+          </div>
+          <div class="col-4">
+            <label class="form-label small mb-0" for="edMarkingLoad">Marking load</label>
+            <select id="edMarkingLoad" class="form-select form-select-sm">${optionsHtml(LOAD_VALUES, f.scalability?.markingLoad || "", { blank: "—" })}</select>
+          </div>
+          <div class="col-4">
+            <label class="form-label small mb-0" for="edSetupLoad">Setup load</label>
+            <select id="edSetupLoad" class="form-select form-select-sm">${optionsHtml(LOAD_VALUES, f.scalability?.setupLoad || "", { blank: "—" })}</select>
+          </div>
+          <div class="col-4">
+            <label class="form-label small mb-0" for="edAiRisk">AI risk</label>
+            <select id="edAiRisk" class="form-select form-select-sm">${optionsHtml(LOAD_VALUES, f.aiRisk?.likelihood || "", { blank: "—" })}</select>
+          </div>
+          <div class="col-12">
+            <label class="form-label small mb-0" for="edMitigations">AI-risk mitigations (one per line)</label>
+            <textarea id="edMitigations" class="form-control form-control-sm" rows="3">${escapeHtml((f.aiRisk?.mitigations || []).join("\n"))}</textarea>
+          </div>
+        </div>
+
+        <div id="edIssues" class="mb-3"></div>
+        <div class="d-flex gap-2">
+          <button id="edSave" class="btn btn-primary" type="button">${original ? "Save changes" : "Add assessment format"}</button>
+        </div>
       </div>
     </div>
   `);
 
-  $(".verb-pill").on("click", function () {
-    const verbId = String($(this).data("verb-id") || "");
-    const levelId = String($(this).data("level-id") || "");
-    selectVerbById(verbId, { switchToLO: false, selectedLevelId: levelId || null });
+  const readForm = () => {
+    const entry = original ? cloneJson(original) : {};
+    const label = String($("#edFormatLabel").val() || "").trim();
+    if (!original) entry.id = slugify(label);
+    entry.label = label;
+    entry.category = String($("#edFormatCategory").val() || "").trim();
+    entry.typicalEvidence = linesOf($("#edEvidence").val());
+    entry.scalability = {
+      ...(entry.scalability || {}),
+      markingLoad: String($("#edMarkingLoad").val() || ""),
+      setupLoad: String($("#edSetupLoad").val() || ""),
+    };
+    entry.aiRisk = {
+      ...(entry.aiRisk || {}),
+      likelihood: String($("#edAiRisk").val() || ""),
+      mitigations: linesOf($("#edMitigations").val()),
+    };
+    return entry;
+  };
+
+  const validate = () => {
+    const entry = readForm();
+    $("#edId").text(entry.id);
+    renderEditorIssues(editorIssues("assessmentFormats", entry, original?.id || null));
+    return entry;
+  };
+
+  $("#formatEditor").on("input change", "input, textarea, select", validate);
+
+  $("#edSave").on("click", () => {
+    const entry = validate();
+    if ($("#edSave").prop("disabled")) return;
+
+    if (original) RAW.assessmentFormats[RAW.assessmentFormats.indexOf(original)] = entry;
+    else RAW.assessmentFormats.push(entry);
+    EDIT_LOG.push(`${original ? "Updated" : "Added"} assessment format ${entry.id}.`);
+
+    refreshDataset();
+    populateEditorSelects();
+    $("#editFormatSelect").val(entry.id);
+    renderFormatEditor(entry.id);
+    $("#edIssues").prepend(`<div class="alert alert-success py-2 small mb-2">Saved. Download verbs.json to keep your changes.</div>`);
   });
+
+  validate();
 }
 
-// -------------------- NFQ Guidance (Standalone) --------------------
-const NFQ_TIPS = {
-  "6": {
-    title: "NFQ Level 6 (Higher Certificate / Advanced Certificate)",
-    focus: ["Understand", "Apply (straightforward contexts)"],
-    characteristics: [
-      "Build confidence with core concepts and routines.",
-      "Use clear, observable outcomes with concrete contexts.",
-      "Assessment should prioritise correct application of taught methods.",
-    ],
-    tips: [
-      "Use verbs like: describe, explain, outline, apply, demonstrate, use.",
-      "Keep criteria explicit: what ‘good’ looks like in the procedure/answer.",
-      "Use worked examples and practice → then assess similar-but-not-identical tasks.",
-      "Avoid overstating outcomes (e.g., ‘critically evaluate’) unless the module truly supports it.",
-    ],
-  },
-  "7": {
-    title: "NFQ Level 7 (Ordinary Bachelor Degree)",
-    focus: ["Apply", "Analyse (supported)"],
-    characteristics: [
-      "Move beyond routine application into selecting and using appropriate methods.",
-      "Introduce analysis of scenarios, trade-offs, and constraints.",
-      "Assessment can start to require justification (lightweight criteria).",
-    ],
-    tips: [
-      "Use verbs like: apply, implement, analyse, compare, examine, interpret.",
-      "Ask for brief justification: ‘why this method/approach?’",
-      "Use case-based tasks with structured prompts (criteria tables help).",
-      "Design rubrics that reward reasoning, not just the final answer.",
-    ],
-  },
-  "8": {
-    title: "NFQ Level 8 (Honours Bachelor Degree / Higher Diploma)",
-    focus: ["Analyse", "Evaluate (with criteria)", "Create (bounded)"],
-    characteristics: [
-      "Students should analyse complex material and justify decisions using evidence.",
-      "Evaluation becomes more explicit: judgement using criteria.",
-      "Creation can appear as design within constraints (requirements, standards, users).",
-    ],
-    tips: [
-      "Use verbs like: analyse, evaluate, justify, synthesise, design, develop.",
-      "Make ‘criteria’ visible: require learners to state and apply evaluation criteria.",
-      "Use authenticity: projects, case studies, portfolios with reflective commentary.",
-      "Avoid ‘create’ tasks that are just template filling—include constraints and originality.",
-    ],
-  },
-  "9": {
-    title: "NFQ Level 9 (Master’s / Postgraduate Diploma)",
-    focus: ["Analyse", "Evaluate", "Create"],
-    characteristics: [
-      "Emphasis on critical analysis of complex information and datasets.",
-      "Evaluation & synthesis: critique, judge, defend complex theories or produce original work.",
-      "Advanced application in new/unfamiliar contexts (often managing complexity/projects).",
-    ],
-    tips: [
-      "Write outcomes that require justification using explicit criteria and evidence.",
-      "Build in synthesis: integrate multiple sources/perspectives into a defensible position.",
-      "Design assessment that demonstrates originality (e.g., novel analysis, design decisions, research-informed artefact).",
-      "Use mechanisms like milestones, viva-style questioning, or process evidence to validate authorship and thinking.",
-      "Avoid outcomes that sit mainly at ‘remember/understand’ unless they are prerequisites and clearly framed as such.",
-    ],
-  },
+function nextPatchVersion(version) {
+  const parts = String(version || "0.0.0").split(".").map((n) => parseInt(n, 10) || 0);
+  while (parts.length < 3) parts.push(0);
+  parts[2] += 1;
+  return parts.slice(0, 3).join(".");
+}
+
+function renderDownloadPanel() {
+  const meta = RAW.meta || {};
+  const migrated = editableVerbs().filter((v) => v.migratedFrom).length;
+
+  $("#resultsArea").html(`
+    <div class="card mb-3">
+      <div class="card-header">Download verbs.json</div>
+      <div class="card-body">
+        <div class="row g-2 mb-2">
+          <div class="col-6 col-md-3">
+            <label class="form-label small mb-0" for="edVersion">Version</label>
+            <input id="edVersion" class="form-control form-control-sm" value="${escapeHtml(nextPatchVersion(meta.schemaVersion))}" />
+            <div class="invalid-feedback">
+              Use ${SUPPORTED_SCHEMA_MAJOR}.x.y: this version is the file's schemaVersion, and other major versions are not loaded.
+            </div>
+          </div>
+          <div class="col-6 col-md-3">
+            <span class="form-label small d-block mb-0">Updated</span>
+            <div class="small pt-1">${escapeHtml(new Date().toISOString().slice(0, 10))}</div>
+          </div>
+        </div>
+        <label class="form-label small mb-0" for="edChanges">Changelog entry (one change per line)</label>
+        <textarea id="edChanges" class="form-control form-control-sm mb-2" rows="5">${escapeHtml(EDIT_LOG.join("\n"))}</textarea>
+        ${
+          migrated
+            ? `<div class="small text-muted mb-2">${migrated} verb entries migrated from legacy files are not included; save one in the editor to add it.</div>`
+            : ""
+        }
+        ${DATA_ISSUES.some((x) => x.severity === "error") ? `<div class="alert alert-warning py-2 small">The dataset still has validation errors; see Data check.</div>` : ""}
+        <button id="edDownload" class="btn btn-primary" type="button">Download</button>
+      </div>
+    </div>
+  `);
+
+  $("#edDownload").on("click", () => {
+    const changes = linesOf($("#edChanges").val());
+    if (!changes.length) {
+      $("#edChanges").addClass("is-invalid").focus();
+      return;
+    }
+    const version = String($("#edVersion").val() || "").trim() || nextPatchVersion(meta.schemaVersion);
+    // Content edits must not change the schema major that detectSchema accepts
+    const versionOk = /^\d+\.\d+\.\d+$/.test(version) && parseInt(version, 10) === SUPPORTED_SCHEMA_MAJOR;
+    $("#edVersion").toggleClass("is-invalid", !versionOk);
+    if (!versionOk) {
+      $("#edVersion").focus();
+      return;
+    }
+    const date = new Date().toISOString().slice(0, 10);
+
+    RAW.meta = { ...meta, schemaVersion: version, updated: date, changelog: [...(meta.changelog || []), { version, date, changes }] };
+    downloadFile("verbs.json", JSON.stringify(RAW, null, 2), "application/json");
+
+    EDIT_LOG.length = 0;
+    populateEditorSelects();
+    renderDownloadPanel();
+    $("#resultsArea .card-body").prepend(`<div class="alert alert-success py-2 small">Downloaded version ${escapeHtml(version)}.</div>`);
+  });
+}
+
+function openEditor(kind, id) {
+  setMode("edit");
+  if (kind === "format") {
+    $("#editFormatSelect").val(id);
+    renderFormatEditor(id);
+  } else {
+    $("#editVerbSelect").val(id);
+    renderVerbEditor(id);
+  }
+}
+
+function initDatasetEditor() {
+  $("#editDataBtn").off("click").on("click", () => setMode("edit"));
+
+  $("#editVerbSelect").off("change").on("change", function () {
+    const id = String($(this).val() || "");
+    $("#editFormatSelect").val("");
+    if (id) renderVerbEditor(id === "__new" ? null : id);
+  });
+
+  $("#editFormatSelect").off("change").on("change", function () {
+    const id = String($(this).val() || "");
+    $("#editVerbSelect").val("");
+    if (id) renderFormatEditor(id === "__new" ? null : id);
+  });
+
+  $("#downloadDatasetBtn").off("click").on("click", renderDownloadPanel);
+
+  $("#spreadsheetFileInput").off("change").on("change", async function () {
+    const files = Array.from(this.files || []);
+    this.value = "";
+    if (files.length) await importSpreadsheet(files);
+  });
+  $(".export-workbook").off("click").on("click", function () {
+    exportWorkbook(String($(this).data("kind")));
+  });
+
+  // Jump from a verb card or the data check report straight into the editor
+  $(document)
+    .off("click", ".edit-entry")
+    .on("click", ".edit-entry", function (e) {
+      e.preventDefault();
+      openEditor(String($(this).data("kind")), String($(this).data("id")));
+    });
+
+  window.addEventListener("beforeunload", (e) => {
+    if (!EDIT_LOG.length) return;
+    e.preventDefault();
+    e.returnValue = "";
+  });
+}
+
+// -------------------- Spreadsheet round-trip (.xlsx / .csv) --------------------
+// The workbook mirrors verbs.json so the content team can edit in Excel. List cells hold one item per line;
+// otherFields carries any remaining keys as JSON so nothing is lost on the way back. Uses SheetJS (XLSX) from the CDN.
+const WORKBOOK_SHEETS = {
+  Verbs: ["id", "verb", "taxonomyId", "primaryLevelId", "alsoFitsLevelIds", "diagnosticStrength", "meaningShort", "meaningExpanded", "synonyms", "searchKeywords", "learningOutcomeStems", "otherFields"],
+  VerbLevels: ["verbId", "levelId", "levelGuidance", "stems"],
+  TaskIdeas: ["verbId", "levelId", "title", "description", "evidenceProduced", "otherFields"],
+  FormatMappings: ["verbId", "assessmentFormatId", "suitability", "rationale", "designNotes", "otherFields"],
+  Formats: ["id", "label", "category", "typicalEvidence", "markingLoad", "setupLoad", "aiRiskLikelihood", "aiRiskMitigations", "otherFields"],
+  Levels: ["taxonomyKey", "levelId", "order", "label", "shortDefinition", "prompts", "avoidIfYouMean", "commonPitfalls", "otherFields"],
+  Dataset: ["section", "json"],
 };
 
-function renderNfqTips(level) {
-  const target = document.getElementById("nfqTipsArea");
-  if (!target) return;
+const WORKBOOK_README = [
+  ["How to edit this workbook"],
+  ["Cells with lists (synonyms, stems, evidence, …) hold one item per line (Alt+Enter in Excel)."],
+  ["VerbLevels, TaskIdeas and FormatMappings link to a verb through verbId; leave TaskIdeas.levelId blank for general ideas."],
+  ["otherFields holds extra keys as JSON and the Dataset sheet holds settings; leave them as they are unless you know the format."],
+  ["Import the workbook (or any of its sheets saved as CSV) with “Import spreadsheet…” in Edit data, then download verbs.json."],
+  ["Each imported sheet replaces that part of the dataset, so a FormatMappings CSV must list every mapping, not just the changed ones."],
+];
 
-  if (!level || !NFQ_TIPS[level]) {
-    target.innerHTML = `<div class="text-muted small">Select a level above to see guidance.</div>`;
-    return;
+// Key order of verb entries in verbs.json, used for entries that are new in the workbook
+const VERB_KEY_ORDER = ["id", "verb", "taxonomyId", "primaryLevelId", "alsoFitsLevelIds", "meaning", "synonyms", "searchKeywords", "learningOutcomeStems", "taskIdeas", "formatMappings", "tags", "diagnosticStrength", "stemsByLevel", "levelGuidance", "taskIdeasByLevel", "taxonomyMappings"];
+
+function listCell(list) {
+  return Array.isArray(list) ? list.join("\n") : "";
+}
+
+function cellText(value) {
+  return String(value ?? "").trim();
+}
+
+function otherFieldsCell(entry, handled) {
+  const rest = Object.fromEntries(Object.entries(entry || {}).filter(([k]) => !handled.includes(k)));
+  return Object.keys(rest).length ? JSON.stringify(rest) : "";
+}
+
+function parseJsonCell(value, where) {
+  const text = cellText(value);
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${where}: the JSON cell could not be read (${err.message}).`);
   }
+}
 
-  const data = NFQ_TIPS[level];
+// Keeps the key order of the entry it replaces so downloaded JSON diffs stay small
+function orderLike(entry, templateKeys) {
+  const ordered = {};
+  for (const k of templateKeys) if (k in entry) ordered[k] = entry[k];
+  return Object.assign(ordered, entry);
+}
 
-  // Map Bloom level names to colors for badges
-  const bloomColorMap = {
-    "Remember": "#0d6efd",
-    "Understand": "#198754",
-    "Apply": "#20c997",
-    "Analyse": "#6f42c1",
-    "Evaluate": "#fd7e14",
-    "Create": "#dc3545"
-  };
+// Optional fields are written when they have content or the original entry had them
+function setField(target, key, value, original) {
+  const empty = value === "" || value === undefined || (Array.isArray(value) && !value.length);
+  if (!empty || (original && key in original)) target[key] = value;
+}
 
-  const focusBadges = (data.focus || [])
-    .map((f) => {
-      // Extract the Bloom level name (first word before any parenthetical)
-      const bloomLevel = f.split("(")[0].trim();
-      const bgColor = bloomColorMap[bloomLevel] || "#6c757d";
-      return `<span class="badge me-1 mb-1" style="background-color:${bgColor}; color:#fff">${escapeHtml(f)}</span>`;
-    })
-    .join("");
+const VERB_HANDLED = ["id", "verb", "taxonomyId", "primaryLevelId", "alsoFitsLevelIds", "diagnosticStrength", "meaning", "synonyms", "searchKeywords", "learningOutcomeStems", "stemsByLevel", "levelGuidance", "taskIdeas", "taskIdeasByLevel", "formatMappings"];
+const FORMAT_HANDLED = ["id", "label", "category", "typicalEvidence", "scalability", "aiRisk"];
+const LEVEL_HANDLED = ["id", "order", "label", "shortDefinition", "prompts", "verbGuardrails"];
 
-  const characteristics = (data.characteristics || []).map((x) => `<li class="small">${escapeHtml(x)}</li>`).join("");
-  const tips = (data.tips || []).map((x) => `<li class="small">${escapeHtml(x)}</li>`).join("");
+function datasetToSheets(raw) {
+  const verbs = raw.verbs || [];
+  const sheets = { Verbs: [], VerbLevels: [], TaskIdeas: [], FormatMappings: [], Formats: [], Levels: [], Dataset: [] };
 
-  target.innerHTML = `
-    <div class="mb-2">
-      <h6 class="mb-2">${escapeHtml(data.title)}</h6>
-      <div class="mb-2">${focusBadges}</div>
-    </div>
+  for (const v of verbs) {
+    const meaning = typeof v.meaning === "string" ? { short: v.meaning } : v.meaning || {};
+    sheets.Verbs.push({
+      id: v.id,
+      verb: v.verb,
+      taxonomyId: v.taxonomyId || "",
+      primaryLevelId: v.primaryLevelId || "",
+      alsoFitsLevelIds: listCell(v.alsoFitsLevelIds),
+      diagnosticStrength: v.diagnosticStrength || "",
+      meaningShort: meaning.short || "",
+      meaningExpanded: meaning.expanded || "",
+      synonyms: listCell(v.synonyms),
+      searchKeywords: listCell(v.searchKeywords),
+      learningOutcomeStems: listCell(v.learningOutcomeStems),
+      otherFields: otherFieldsCell(v, VERB_HANDLED),
+    });
 
-    <div class="mb-3">
-      <strong class="small d-block mb-2">Key characteristics:</strong>
-      <ul class="mb-2 ps-3">${characteristics}</ul>
-    </div>
+    const levelIds = [...new Set([...Object.keys(v.stemsByLevel || {}), ...Object.keys(v.levelGuidance || {})])];
+    for (const levelId of levelIds) {
+      sheets.VerbLevels.push({ verbId: v.id, levelId, levelGuidance: v.levelGuidance?.[levelId] || "", stems: listCell(v.stemsByLevel?.[levelId]) });
+    }
 
-    <div>
-      <strong class="small d-block mb-2">Practical tips:</strong>
-      <ul class="ps-3">${tips}</ul>
-    </div>
-  `;
+    const taskRow = (levelId) => (t) => ({
+      verbId: v.id,
+      levelId,
+      title: t.title || "",
+      description: t.description || "",
+      evidenceProduced: listCell(t.evidenceProduced),
+      otherFields: otherFieldsCell(t, ["title", "description", "evidenceProduced"]),
+    });
+    sheets.TaskIdeas.push(...(v.taskIdeas || []).map(taskRow("")));
+    for (const [levelId, ideas] of Object.entries(v.taskIdeasByLevel || {})) sheets.TaskIdeas.push(...(ideas || []).map(taskRow(levelId)));
+
+    for (const m of v.formatMappings || []) {
+      sheets.FormatMappings.push({
+        verbId: v.id,
+        assessmentFormatId: m.assessmentFormatId || "",
+        suitability: m.suitability || "",
+        rationale: m.rationale || "",
+        designNotes: listCell(m.designNotes),
+        otherFields: otherFieldsCell(m, ["assessmentFormatId", "suitability", "rationale", "designNotes"]),
+      });
+    }
+  }
+
+  for (const f of raw.assessmentFormats || []) {
+    sheets.Formats.push({
+      id: f.id,
+      label: f.label || "",
+      category: f.category || "",
+      typicalEvidence: listCell(f.typicalEvidence),
+      markingLoad: f.scalability?.markingLoad || "",
+      setupLoad: f.scalability?.setupLoad || "",
+      aiRiskLikelihood: f.aiRisk?.likelihood || "",
+      aiRiskMitigations: listCell(f.aiRisk?.mitigations),
+      otherFields: otherFieldsCell(f, FORMAT_HANDLED),
+    });
+  }
+
+  for (const [key, taxonomy] of Object.entries(raw.taxonomies || {})) {
+    for (const lvl of taxonomy.levels || []) {
+      sheets.Levels.push({
+        taxonomyKey: key,
+        levelId: lvl.id,
+        order: lvl.order ?? "",
+        label: lvl.label || "",
+        shortDefinition: lvl.shortDefinition || "",
+        prompts: listCell(lvl.prompts),
+        avoidIfYouMean: listCell(lvl.verbGuardrails?.avoidIfYouMean),
+        commonPitfalls: listCell(lvl.verbGuardrails?.commonPitfalls),
+        otherFields: otherFieldsCell(lvl, LEVEL_HANDLED),
+      });
+    }
+    sheets.Dataset.push({ section: `taxonomies.${key}`, json: otherFieldsCell(taxonomy, ["levels"]) });
+  }
+
+  for (const [section, value] of Object.entries(raw)) {
+    if (["verbs", "assessmentFormats", "taxonomies"].includes(section)) continue;
+    sheets.Dataset.push({ section, json: JSON.stringify(value) });
+  }
+
+  return sheets;
 }
 
-function initNfqGuidance() {
-  const sel = document.getElementById("nfqSelect");
-  if (!sel) return;
+// Rebuilds a dataset from whichever sheets are present; sections without a sheet keep the base values.
+function sheetsToDataset(sheets, base) {
+  const data = cloneJson(base);
+  const messages = [];
+  const baseVerbs = new Map((base.verbs || []).map((v) => [v.id, v]));
+  const rowsFor = (name) => sheets[name] || null;
+
+  for (const row of rowsFor("Dataset") || []) {
+    const section = cellText(row.section);
+    if (!section) continue;
+    const value = parseJsonCell(row.json, `Dataset ${section}`);
+    if (section.startsWith("taxonomies.")) {
+      const key = section.slice("taxonomies.".length);
+      data.taxonomies = data.taxonomies || {};
+      data.taxonomies[key] = { ...value, levels: data.taxonomies[key]?.levels || [] };
+    } else {
+      data[section] = value;
+    }
+  }
+
+  if (rowsFor("Levels")) {
+    const byTaxonomy = new Map();
+    rowsFor("Levels").forEach((row, i) => {
+      const key = cellText(row.taxonomyKey);
+      const id = cellText(row.levelId);
+      if (!key || !id) return messages.push(`Levels row ${i + 2}: taxonomyKey and levelId are required; row skipped.`);
+      const original = (base.taxonomies?.[key]?.levels || []).find((l) => l.id === id);
+      const lvl = { id };
+      if (cellText(row.order) !== "") lvl.order = Number(row.order);
+      setField(lvl, "label", cellText(row.label), original);
+      setField(lvl, "shortDefinition", cellText(row.shortDefinition), original);
+      setField(lvl, "prompts", linesOf(row.prompts), original);
+      const guardrails = { avoidIfYouMean: linesOf(row.avoidIfYouMean), commonPitfalls: linesOf(row.commonPitfalls) };
+      if (guardrails.avoidIfYouMean.length || guardrails.commonPitfalls.length || original?.verbGuardrails) lvl.verbGuardrails = guardrails;
+      Object.assign(lvl, parseJsonCell(row.otherFields, `Levels row ${i + 2}`));
+      if (!byTaxonomy.has(key)) byTaxonomy.set(key, []);
+      byTaxonomy.get(key).push(original ? orderLike(lvl, Object.keys(original)) : lvl);
+    });
+    data.taxonomies = data.taxonomies || {};
+    for (const [key, levels] of byTaxonomy) data.taxonomies[key] = { ...(data.taxonomies[key] || { id: key, name: key }), levels };
+  }
+
+  if (rowsFor("Formats")) {
+    const baseFormats = new Map((base.assessmentFormats || []).map((f) => [f.id, f]));
+    data.assessmentFormats = [];
+    rowsFor("Formats").forEach((row, i) => {
+      const id = cellText(row.id);
+      if (!id) return messages.push(`Formats row ${i + 2}: id is required; row skipped.`);
+      const original = baseFormats.get(id);
+      const f = { id, label: cellText(row.label) };
+      setField(f, "category", cellText(row.category), original);
+      setField(f, "typicalEvidence", linesOf(row.typicalEvidence), original);
+      f.scalability = { markingLoad: cellText(row.markingLoad), setupLoad: cellText(row.setupLoad) };
+      f.aiRisk = { likelihood: cellText(row.aiRiskLikelihood), mitigations: linesOf(row.aiRiskMitigations) };
+      Object.assign(f, parseJsonCell(row.otherFields, `Formats row ${i + 2}`));
+      data.assessmentFormats.push(original ? orderLike(f, Object.keys(original)) : f);
+    });
+  }
+
+  if (rowsFor("Verbs")) {
+    data.verbs = [];
+    rowsFor("Verbs").forEach((row, i) => {
+      const verb = cellText(row.verb);
+      const primaryLevelId = cellText(row.primaryLevelId);
+      const id = cellText(row.id) || (verb && primaryLevelId ? `${primaryLevelId}-${slugify(normaliseSpelling(verb))}` : "");
+      if (!id || !verb) return messages.push(`Verbs row ${i + 2}: verb (and an id or primaryLevelId) is required; row skipped.`);
+      const original = baseVerbs.get(id);
+      const v = { id, verb };
+      setField(v, "taxonomyId", cellText(row.taxonomyId), original);
+      setField(v, "primaryLevelId", primaryLevelId, original);
+      setField(v, "alsoFitsLevelIds", linesOf(row.alsoFitsLevelIds), original);
+      const meaning = original?.meaning && typeof original.meaning === "object" ? { ...original.meaning } : {};
+      for (const [key, column] of [["short", "meaningShort"], ["expanded", "meaningExpanded"]]) {
+        if (cellText(row[column]) || key in meaning) meaning[key] = cellText(row[column]);
+      }
+      // Legacy entries hold meaning as a plain string; keep that shape unless an expanded text was added
+      if (typeof original?.meaning === "string" && !meaning.expanded) v.meaning = meaning.short || "";
+      else if (Object.keys(meaning).length || original?.meaning) v.meaning = meaning;
+      setField(v, "synonyms", linesOf(row.synonyms), original);
+      setField(v, "searchKeywords", linesOf(row.searchKeywords), original);
+      setField(v, "learningOutcomeStems", linesOf(row.learningOutcomeStems), original);
+      setField(v, "diagnosticStrength", cellText(row.diagnosticStrength), original);
+      // Content kept in other sheets carries over when that sheet is not part of this import
+      for (const key of ["stemsByLevel", "levelGuidance", "taskIdeas", "taskIdeasByLevel", "formatMappings"]) {
+        if (original && key in original) v[key] = original[key];
+      }
+      Object.assign(v, parseJsonCell(row.otherFields, `Verbs row ${i + 2}`));
+      data.verbs.push(v);
+    });
+  }
+
+  const verbsById = new Map((data.verbs || []).map((v) => [v.id, v]));
+  // Rows whose verb exists, each with its spreadsheet line number (header is line 1)
+  const childRows = (sheet) =>
+    (rowsFor(sheet) || [])
+      .map((row, i) => ({ row, line: i + 2 }))
+      .filter(({ row, line }) => {
+        const known = verbsById.has(cellText(row.verbId));
+        if (!known) messages.push(`${sheet} row ${line}: no verb with id "${cellText(row.verbId)}"; row skipped.`);
+        return known;
+      });
+
+  if (rowsFor("VerbLevels")) {
+    for (const v of data.verbs || []) {
+      if ("stemsByLevel" in v) v.stemsByLevel = {};
+      if ("levelGuidance" in v) v.levelGuidance = {};
+    }
+    for (const { row } of childRows("VerbLevels")) {
+      const v = verbsById.get(cellText(row.verbId));
+      const levelId = cellText(row.levelId);
+      const stems = linesOf(row.stems);
+      if (stems.length) (v.stemsByLevel = v.stemsByLevel || {})[levelId] = stems;
+      if (cellText(row.levelGuidance)) (v.levelGuidance = v.levelGuidance || {})[levelId] = cellText(row.levelGuidance);
+    }
+  }
+
+  if (rowsFor("TaskIdeas")) {
+    for (const v of data.verbs || []) {
+      if ("taskIdeas" in v) v.taskIdeas = [];
+      if ("taskIdeasByLevel" in v) v.taskIdeasByLevel = {};
+    }
+    childRows("TaskIdeas").forEach(({ row, line }) => {
+      const v = verbsById.get(cellText(row.verbId));
+      const levelId = cellText(row.levelId);
+      const idea = { title: cellText(row.title), description: cellText(row.description), evidenceProduced: linesOf(row.evidenceProduced) };
+      Object.assign(idea, parseJsonCell(row.otherFields, `TaskIdeas row ${line}`));
+      if (!levelId) (v.taskIdeas = v.taskIdeas || []).push(idea);
+      else ((v.taskIdeasByLevel = v.taskIdeasByLevel || {})[levelId] = v.taskIdeasByLevel[levelId] || []).push(idea);
+    });
+  }
+
+  if (rowsFor("FormatMappings")) {
+    for (const v of data.verbs || []) v.formatMappings = [];
+    childRows("FormatMappings").forEach(({ row, line }) => {
+      const verbId = cellText(row.verbId);
+      const original = (baseVerbs.get(verbId)?.formatMappings || []).find(
+        (m) => (m.assessmentFormatId || m.formatId) === cellText(row.assessmentFormatId)
+      );
+      const m = {
+        assessmentFormatId: cellText(row.assessmentFormatId),
+        suitability: cellText(row.suitability),
+        rationale: cellText(row.rationale),
+        designNotes: linesOf(row.designNotes),
+      };
+      Object.assign(m, parseJsonCell(row.otherFields, `FormatMappings row ${line}`));
+      verbsById.get(verbId).formatMappings.push(original ? orderLike(m, Object.keys(original)) : m);
+    });
+  }
+
+  data.verbs = (data.verbs || []).map((v) => orderLike(v, Object.keys(baseVerbs.get(v.id) || {}).concat(VERB_KEY_ORDER)));
+  return { data, messages };
+}
+
+// Sheet names are matched loosely ("format mappings.csv" → FormatMappings), then by header row
+function workbookSheetName(name, headers) {
+  const key = String(name || "").toLowerCase().replace(/\.[a-z]+$/, "").replace(/[^a-z]/g, "");
+  const byName = Object.keys(WORKBOOK_SHEETS).find((s) => key === s.toLowerCase() || key.endsWith(s.toLowerCase()));
+  if (byName) return byName;
+  return (
+    Object.entries(WORKBOOK_SHEETS).find(([, cols]) => cols.filter((c) => c !== "otherFields").every((c) => headers.includes(c)))?.[0] || null
+  );
+}
+
+async function readSpreadsheetFiles(files) {
+  if (typeof XLSX === "undefined") throw new Error("The spreadsheet library (SheetJS) is not loaded.");
+  const sheets = {};
+  const read = [];
+  const skipped = [];
+
+  // Excel writes a byte-order mark at the start of UTF-8 CSV files
+  const readCsv = (text) => XLSX.read(String(text).replace(/^\uFEFF/, ""), { type: "string", raw: true });
+  const addWorkbook = (wb, label) => {
+    for (const sheetName of wb.SheetNames) {
+      const rows = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { defval: "", raw: false });
+      const headers = Object.keys(rows[0] || {});
+      const name = workbookSheetName(wb.SheetNames.length === 1 ? label : sheetName, headers);
+      if (!name) {
+        if (sheetName !== "About") skipped.push(`${label}${wb.SheetNames.length > 1 ? ` › ${sheetName}` : ""}`);
+        continue;
+      }
+      sheets[name] = [...(sheets[name] || []), ...rows];
+      read.push(`${name} (${rows.length} row${rows.length === 1 ? "" : "s"})`);
+    }
+  };
+
+  for (const file of files) {
+    if (/\.zip$/i.test(file.name)) {
+      if (typeof JSZip === "undefined") throw new Error("The zip library (JSZip) is not loaded.");
+      const zip = await JSZip.loadAsync(await file.arrayBuffer());
+      for (const entry of Object.values(zip.files).filter((f) => !f.dir && /\.csv$/i.test(f.name))) {
+        addWorkbook(readCsv(await entry.async("string")), entry.name.split("/").pop());
+      }
+    } else if (/\.csv$/i.test(file.name)) {
+      addWorkbook(readCsv(await file.text()), file.name);
+    } else {
+      addWorkbook(XLSX.read(await file.arrayBuffer(), { type: "array" }), file.name);
+    }
+  }
+  return { sheets, read, skipped };
+}
+
+function buildWorkbook(raw) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(WORKBOOK_README), "About");
+  for (const [name, rows] of Object.entries(datasetToSheets(raw))) {
+    const ws = XLSX.utils.json_to_sheet(rows, { header: WORKBOOK_SHEETS[name] });
+    ws["!cols"] = WORKBOOK_SHEETS[name].map((c) => ({ wch: ["id", "verbId", "levelId", "order", "section"].includes(c) ? 18 : 36 }));
+    XLSX.utils.book_append_sheet(wb, ws, name);
+  }
+  return wb;
+}
+
+async function exportWorkbook(kind) {
+  const base = `verbs-${RAW.meta?.schemaVersion || "dataset"}`;
+  try {
+    if (typeof XLSX === "undefined") throw new Error("The spreadsheet library (SheetJS) is not loaded.");
+    const wb = buildWorkbook(RAW);
+    if (kind === "xlsx") {
+      const bytes = XLSX.write(wb, { bookType: "xlsx", type: "array", compression: true });
+      downloadFile(`${base}.xlsx`, bytes, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      return;
+    }
+    // One CSV per sheet, zipped, since CSV has no sheets of its own
+    if (typeof JSZip === "undefined") throw new Error("The zip library (JSZip) is not loaded.");
+    const zip = new JSZip();
+    for (const name of Object.keys(WORKBOOK_SHEETS)) zip.file(`${name}.csv`, "\uFEFF" + XLSX.utils.sheet_to_csv(wb.Sheets[name]));
+    downloadFile(`${base}-csv.zip`, await zip.generateAsync({ type: "blob" }));
+  } catch (err) {
+    console.error(err);
+    alert(`Export failed: ${err.message}`);
+  }
+}
 
-  sel.addEventListener("change", () => renderNfqTips(sel.value));
-  renderNfqTips(sel.value);
+async function importSpreadsheet(files) {
+  let result;
+  try {
+    const { sheets, read, skipped } = await readSpreadsheetFiles(files);
+    if (!read.length) throw new Error(`No recognised sheets. Expected any of: ${Object.keys(WORKBOOK_SHEETS).join(", ")}.`);
+    result = { ...sheetsToDataset(sheets, RAW), read, skipped };
+  } catch (err) {
+    console.error(err);
+    showError(`The spreadsheet could not be imported: ${err.message}`);
+    return;
+  }
+
+  const { data, messages, read, skipped } = result;
+  const issues = validateDataset(data);
+  const errors = issues.filter((x) => x.severity === "error");
+  const names = files.map((f) => f.name).join(", ");
+
+  $("#resultsArea").html(`
+    <div class="card mb-3">
+      <div class="card-header">Import spreadsheet: ${escapeHtml(names)}</div>
+      <div class="card-body">
+        <div class="small mb-2"><strong>Read:</strong> ${escapeHtml(read.join(", "))}</div>
+        ${skipped.length ? `<div class="small text-muted mb-2">Ignored (not a recognised sheet): ${escapeHtml(skipped.join(", "))}</div>` : ""}
+        <div class="small mb-2">${(data.verbs || []).length} verb entries and ${(data.assessmentFormats || []).length} assessment formats
+          (currently ${(RAW.verbs || []).length} and ${(RAW.assessmentFormats || []).length}).</div>
+        ${messages.map((m) => `<div class="alert alert-warning small py-1 px-2 mb-1">${escapeHtml(m)}</div>`).join("")}
+        ${
+          errors.length
+            ? `<div class="alert alert-danger small py-2 mt-2">${errors.length} validation error(s), for example:
+                <ul class="mb-0">${errors.slice(0, 5).map((x) => `<li><code>${escapeHtml(x.entryId || x.path)}</code>: ${escapeHtml(x.problem)}</li>`).join("")}</ul>
+              </div>`
+            : `<div class="alert alert-success small py-2 mt-2">No validation errors${issues.length ? ` (${issues.length} warning(s); see Data check after loading)` : ""}.</div>`
+        }
+        <button id="wbApply" class="btn btn-primary" type="button">Load into the editor</button>
+        <button id="wbCancel" class="btn btn-outline-secondary" type="button">Cancel</button>
+      </div>
+    </div>
+  `);
+
+  $("#wbCancel").on("click", () => clearResults());
+  $("#wbApply").on("click", () => {
+    RAW = data;
+    EDIT_LOG.push(`Imported spreadsheet ${names}.`);
+    refreshDataset();
+    populateEditorSelects();
+    renderDownloadPanel();
+    $("#resultsArea .card-body").prepend(
+      `<div class="alert alert-success py-2 small">Spreadsheet loaded. Review it in the app, then download verbs.json.</div>`
+    );
+  });
 }
 
 // -------------------- Dark Mode --------------------
@@ -798,29 +5737,53 @@ function initDarkMode() {
 }
 
 // -------------------- UI init --------------------
+function populateAssessmentSelect() {
+  const select = $("#assessmentSelect");
+  const current = select.val();
+  select.empty();
+  select.append(`<option value="">-- choose --</option>`);
+  for (const f of APP.assessmentFormats) {
+    select.append(`<option value="${escapeHtml(f.id)}">${escapeHtml(f.name)}${f.overlay ? ` (${escapeHtml(f.overlay)})` : ""}</option>`);
+  }
+  if (current) select.val(current);
+}
+
 function initUI() {
   if (document.getElementById("disclaimerText")) {
     $("#disclaimerText").text(APP.disclaimer ? `(${APP.disclaimer})` : "");
   }
 
-  // Autocomplete: unique verb texts (duplicates exist as entries)
-  const uniqueVerbTexts = Array.from(new Set(APP.verbs.map((v) => v.verb).filter(Boolean))).sort((a, b) => a.localeCompare(b));
-  $("#verbSearch").autocomplete({ source: uniqueVerbTexts });
+  // Autocomplete: ranked across verbs, synonyms and keywords (duplicates exist as entries)
+  $("#verbSearch").autocomplete({
+    source: verbAutocompleteSource,
+    select: (e, ui) => {
+      $("#verbSearch").val(ui.item.value);
+      doVerbSearch();
+      return false;
+    },
+  });
 
-  // Populate assessment select
-  const select = $("#assessmentSelect");
-  select.empty();
-  select.append(`<option value="">-- choose --</option>`);
-  for (const f of APP.assessmentFormats) {
-    select.append(`<option value="${escapeHtml(f.id)}">${escapeHtml(f.name)}</option>`);
-  }
+  populateAssessmentSelect();
 
-  // Bloom hierarchy
+  // Facet filters (read before the hierarchy so a shared URL renders filtered)
+  initFilters();
+
+  // Taxonomy switcher + Bloom hierarchy
+  initTaxonomySelect();
   renderBloomHierarchy();
 
   // Start choice handlers
   $("#startLO").off("click").on("click", () => setMode("lo"));
   $("#startAssessment").off("click").on("click", () => setMode("assessment"));
+  $("#startAnalyse").off("click").on("click", () => setMode("analyse"));
+
+  // Dataset check (admin)
+  $("#dataCheckBtn").off("click").on("click", () => setMode("admin"));
+  $("#rerunDataCheckBtn").off("click").on("click", () => renderValidationReport());
+  updateDataCheckBadge();
+
+  // Outcome analyser
+  $("#loAnalyseBtn").off("click").on("click", () => renderOutcomeAnalysis($("#loAnalyseInput").val()));
 
   // LO search
   function doVerbSearch() {
@@ -833,7 +5796,7 @@ function initUI() {
     const matches = getVerbMatchesByText(q);
 
     if (matches.length === 0) {
-      showInfo("No exact match. Tip: choose a verb from the autocomplete suggestions (or click a verb in the Bloom Hierarchy sidebar).");
+      renderVerbSearchResults(q.trim(), searchVerbs(q));
       return;
     }
 
@@ -854,11 +5817,24 @@ function initUI() {
   $("#assessmentSelect").off("change").on("change", function () {
     renderVerbsForAssessment($(this).val());
   });
+  $("#planFormatsBtn").off("click").on("click", () => renderFormatPlanner());
+  $("#compareFormatsBtn").off("click").on("click", () => {
+    const current = String($("#assessmentSelect").val() || "");
+    renderFormatComparison(current ? [current] : []);
+  });
+
+  // Qualification framework guidance
+  initQfGuidance();
+
+  // Module workspace
+  initModuleWorkspace();
 
-  // NFQ guidance
-  initNfqGuidance();
+  // Dataset editor and overlays
+  initDatasetEditor();
+  initOverlays();
 
-  setMode("start");
+  // Restores the view from a shared link (or shows the start choice)
+  initHistory();
 }
 
 // -------------------- Boot --------------------
@@ -866,11 +5842,10 @@ async function boot() {
   try {
     initDarkMode();
     
-    const res = await fetch("verbs.json", { cache: "no-store" });
-    if (!res.ok) throw new Error("Failed to load verbs.json");
-    RAW = await res.json();
+    RAW = await loadDatasets();
+    loadOverlays();
 
-    APP = adaptNewSchema(RAW);
+    APP = buildApp();
 
     if (!APP || !Array.isArray(APP.verbs) || !Array.isArray(APP.assessmentFormats) || !Array.isArray(APP.bloomLevels)) {
       throw new Error("Adapted verbs.json has an unexpected structure.");